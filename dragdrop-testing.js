@@ -0,0 +1,165 @@
+// Module with helpers for testing code that uses the dragdrop module, in environments without layout such as jsdom.
+
+// Some important notes:
+// - Load it after dragdrop.js, and load the dragdropTesting module in tests (e.g. module("dragdropTesting") with
+//   angular-mocks). It is not meant for production.
+// - jsdom doesn't lay out the document, so every element measures 0x0 px at the top left of the page. Drags need to
+//   know where containers and elements are; dragSimulator.list and dragSimulator.rect mock their bounding rects.
+// - Events are emitted (and ghosts removed) in a $timeout after the drop; with angular-mocks, call $timeout.flush()
+//   before checking for them.
+// - Drags that don't need a pointer at all can use dragStore.move, or dragStore.begin, over, drop and cancel.
+// - test/dragdrop.spec.js uses it to test pointer, keyboard and scripted drags.
+
+angular.module("dragdropTesting", ["dragdrop"])
+
+    // Simulates pointer drags:
+    //
+    //   dragSimulator.list(columnElem, {left: 0, top: 0, width: 100, height: 400, itemHeight: 20});
+    //   dragSimulator.drag(handleElem, [[10, 10], [10, 50], [150, 30]]);
+    //   $timeout.flush();
+    //
+    // Coordinates are client coordinates, which are document coordinates as well since jsdom doesn't scroll.
+    .factory("dragSimulator", ["$window", "$document", "Drag", "dragStore",
+        function($window, $document, Drag, dragStore) {
+        var rects = []; // [{elem, rect}], with rect a rect object or a function returning one
+        var lists = []; // [{elem, options}], see dragSimulator.list
+
+        function toRect(r) {
+            return {
+                left: r.left,
+                top: r.top,
+                width: r.width,
+                height: r.height,
+                right: r.left + r.width,
+                bottom: r.top + r.height
+            };
+        }
+
+        // The rect of an element in a list: elements are placed one after the other, from the top left of the list
+        function listRect(list, node) {
+            var options = list.options;
+            var index = _.indexOf(_.filter(list.elem.children, function(child) {
+                return child.classList.contains("drag-element") || child.classList.contains("ghost");
+            }), node);
+            var columns = options.columns || (options.horizontal ? Infinity : 1);
+            var width = options.itemWidth || options.width;
+            var height = options.itemHeight || options.height;
+            var left = (index % columns) * width;
+            return toRect({
+                left: options.rtl ? options.left + options.width - left - width : options.left + left,
+                top: options.top + Math.floor(index / columns) * height,
+                width: width,
+                height: height
+            });
+        }
+
+        function measure(node) {
+            var mocked = _.find(rects, function(r) {
+                return r.elem === node;
+            });
+            if(mocked) {
+                return toRect(_.isFunction(mocked.rect) ? mocked.rect(node) : mocked.rect);
+            }
+            var list = _.find(lists, function(l) {
+                return l.elem === node;
+            });
+            if(list) {
+                return toRect(list.options);
+            }
+            list = _.find(lists, function(l) {
+                return l.elem === node.parentNode;
+            });
+            return list ? listRect(list, node) : toRect({left: 0, top: 0, width: 0, height: 0});
+        }
+
+        // the getBoundingClientRect of jsdom, while ours is installed
+        var original = null;
+        function install() {
+            if(original) return;
+            original = $window.Element.prototype.getBoundingClientRect;
+            $window.Element.prototype.getBoundingClientRect = function() {
+                return measure(this);
+            };
+        }
+
+        function element(elem) {
+            return angular.element(elem)[0];
+        }
+
+        function center(node) {
+            var r = measure(node);
+            return [r.left + r.width / 2, r.top + r.height / 2];
+        }
+
+        var dragSimulator = {};
+
+        // Mocks the bounding rect of elem: rect is {left, top, width, height}, or a function that gets the DOM element
+        // and returns one
+        dragSimulator.rect = function(elem, rect) {
+            install();
+            _.remove(rects, function(r) {
+                return r.elem === element(elem);
+            });
+            rects.push({elem: element(elem), rect: rect});
+        };
+
+        // Lays out a drag-container and its elements. options has the rect of the container ({left, top, width,
+        // height}) and the size of its elements (itemWidth and itemHeight, which default to the size of the container).
+        // The elements (and the ghost) are stacked vertically, in a row when horizontal is true, or in a grid of
+        // columns columns. Rows go from right to left when rtl is true; the container itself
+        // then needs direction: rtl in its style attribute, since jsdom doesn't apply dir="rtl" to the computed style.
+        dragSimulator.list = function(elem, options) {
+            install();
+            _.remove(lists, function(l) {
+                return l.elem === element(elem);
+            });
+            lists.push({elem: element(elem), options: options});
+        };
+
+        // Forgets all mocked rects, and puts back the getBoundingClientRect of the environment
+        dragSimulator.reset = function() {
+            rects = [];
+            lists = [];
+            if(original) {
+                $window.Element.prototype.getBoundingClientRect = original;
+                original = null;
+            }
+        };
+
+        // Fires a pointer event of type (start, move, end or cancel, see Drag.events) at target, at client coordinates
+        // coords. eventInit is added to the event, e.g. {ctrlKey: true} to copy.
+        dragSimulator.pointer = function(type, target, coords, eventInit) {
+            var Event = $window.PointerEvent || $window.MouseEvent;
+            var event = new Event(Drag.events[type].split(" ")[0], angular.extend({
+                bubbles: true,
+                cancelable: true,
+                button: 0,
+                isPrimary: true,
+                pointerId: 1,
+                clientX: coords[0],
+                clientY: coords[1]
+            }, eventInit));
+            element(target).dispatchEvent(event);
+            return event;
+        };
+
+        // Presses the pointer on a drag-handle and moves it along path, a list of client coordinates; the first one is
+        // where the handle is pressed (an empty path presses its center). The drag starts once the pointer has moved
+        // past the drag threshold. Every move is processed right away, and the pointer is released at the end of the
+        // path, unless options.release is false; options.eventInit is added to every event.
+        dragSimulator.drag = function(handle, path, options) {
+            options = options || {};
+            path = path.length ? path : [center(element(handle))];
+            dragSimulator.pointer("start", handle, path[0], options.eventInit);
+            _.forEach(path.slice(1), function(coords) {
+                // until the drag started, the handle follows the pointer itself
+                dragSimulator.pointer("move", dragStore() ? $document[0] : handle, coords, options.eventInit);
+                dragStore() && dragStore().flush();
+            });
+            if(options.release !== false) {
+                dragSimulator.pointer("end", dragStore() ? $document[0] : handle, _.last(path), options.eventInit);
+            }
+        };
+
+        return dragSimulator;
+    }]);
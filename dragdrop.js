@@ -6,17 +6,123 @@
 // - All events captured here are captured with the angular.element.bind method. Handling such events goes outside of
 //   the Angular digest. Since we always do this, we know that we will always have to call $rootScope.$apply after
 //   we change some of the data provided to us.
+// - Dragging works with mouse, pen and touch input. Pointer Events are used when the browser supports them, otherwise
+//   we fall back to mouse and Touch Events. With touch input a drag only starts after a long press on the drag-handle,
+//   so that the user can still scroll the page by swiping over drag elements.
+// - Drag elements can also be moved with the keyboard. Space or Enter on a focused drag-handle picks the element up,
+//   the arrow keys move it within its container or to the previous/next container of the same type, Enter (or Space)
+//   drops it and Escape puts it back where it was. Every step is announced to screen readers through an ARIA live
+//   region. Give containers a name for these announcements with the container-label attribute.
+// - Drops can be validated with the drop-validate expression of a drag-container, and with the global dropValidate
+//   function in dragdropConfig. Both get the locals {elementData, fromContainerData, toContainerData, toIndex} and may
+//   return a boolean or a promise. Returning false or rejecting means the element may not be dropped there: while
+//   hovering this shows the no-drop cursor, and on drop the element goes back where it came from (emitting
+//   dragCancel). Any other value than a boolean, or the value a promise resolves with, replaces the element data that
+//   gets inserted (e.g. a copy the server created). While a drop waits for a promise, the ghost gets the class
+//   drag-pending.
+// - Dragging moves elements by default. With drag-mode="copy" on a drag-container, elements dragged out of it stay
+//   where they are and a copy is dropped instead; holding Ctrl or Alt while dragging copies as well. Copies are made
+//   with the drag-clone expression of the source container (local: elementData), or the cloneData function of
+//   dragdropConfig, which defaults to angular.copy.
+// - Ctrl-click (Cmd-click) on drag elements selects several of them, also in different containers of the same type, and
+//   Shift-click selects all elements between the last clicked one and this one. Selected elements get the class
+//   drag-selected. Dragging one of the selected elements drags all of them, and they are dropped next to each other in
+//   their original order. A plain click clears the selection. Keyboard drags always move a single element. Ctrl
+//   selects when clicking and copies when dragging: the pointer release that ends a drag doesn't change the selection.
+// - Containers can be nested in drag elements of other containers of the same type, to build trees. Drops go into the
+//   innermost container under the pointer, and never into a container nested in (one of) the dragged element(s). With
+//   drop-indent="<px>" on a vertical container, dropping more than that many px to the right of the element above the
+//   drop position puts the element in the first container nested in that element (e.g. a collapsed or empty child
+//   list) instead. The other way around, dropping at the end of a nested container no more than drop-indent px to the
+//   right of the element it is nested in puts the element right after that element, one level up. The events that
+//   report moves tell the path to both containers (fromParents and toParents).
+// - By default the elements of a container are laid out in a single row (drag-horizontal) or column. For elements
+//   in wrapping rows (e.g. a CSS grid or flex-wrap), use drag-layout="grid" on the drag-container: drop positions are
+//   then found using both axes, and the ghost gets the size of a grid cell. With the keyboard, the arrow keys move
+//   within the grid, up and down by a whole row.
+// - The preview that follows the pointer is a copy of the dragged element, and the ghost that shows the drop position
+//   is an empty copy of an element. Instead, drag-preview="<id>" and drag-placeholder="<id>" on a drag-container use
+//   an ng-template, which gets compiled against the scope of the dragged element (with elementData added to it). The
+//   preview template of the source container is used, and the placeholder template of the container with the ghost.
+//   The preview and placeholder options of dragdropConfig set defaults, either as template id or as a function
+//   function(elementData, element) that returns an element or HTML. During a drag, the body has the class
+//   drag-active, the dragged element drag-source, the preview drag-preview, the ghost ghost and drag-placeholder,
+//   and the container under the pointer drag-over (plus drag-over-rejected when the element can't be dropped there).
+//   The preview of several selected elements also gets drag-stack, and a drag-count element with their number; the
+//   placeholderStyle, stackStyle and countStyle options give these inline styles, or none when set to null.
+// - With drag-animation-duration="<ms>" on a drag-container (or the animationDuration option of dragdropConfig), the
+//   elements in it slide to their new place when the ghost moves, and on drop the preview slides to the drop position.
+//   drag-animation-easing sets the CSS easing function. There are no animations when the user prefers reduced motion.
+//   When ngAnimate is loaded the animations run through $animateCss, and $animate.enabled(false) turns them off.
+// - Drop positions are translated from the rendered elements to the container data: a drop goes right before the
+//   data of the element after the ghost. So drops land in the right place in lists that render the data filtered,
+//   sorted or only partly (virtual scrolling), as long as the container data holds the element data of the rendered
+//   elements. Otherwise, element-index="<expr>" on a drag-element tells the index of its data in the container data,
+//   or drag-model-index="<expr>" on a drag-container maps drop positions itself; it gets the locals
+//   {renderedIndex, previousData, nextData, containerData}, with the data of the elements around the drop position.
+// - With drag-native="true" on a drag-container (or the native option of dragdropConfig), its elements are dragged with
+//   native HTML5 drag and drop, so they can also be dragged to other windows and applications. Their element data is
+//   put in the DataTransfer for each MIME type in the mimeTypes option of dragdropConfig. drag-native on a
+//   drag-element overrides the setting of its container. Native containers with drop-convert="<expr>" accept drops
+//   from outside the page as well (files, URLs, text, or element data from another window): the expression gets the
+//   locals {dataTransfer, files, uri, text, json} and returns the element data to insert, an array of them, or a
+//   promise of either (nothing to refuse the drop). These drops emit externalDrop, other drops emit the usual events.
+// - Pointer moves are processed at most once per animation frame. The positions of containers and elements are
+//   measured once and reused until the layout may have changed: when the ghost moves, on scroll and resize, and when
+//   drag elements or containers come and go. So a drag stays smooth with many elements.
+// - While dragging near the edge of a scrollable container (or of one of its scrollable ancestors) or of the window,
+//   it scrolls, faster the closer the pointer gets to the edge. See the autoScroll options of dragdropConfig.
+// - Drop targets that are no list (a trash can, an archive button, a folder) are drop-zone directives of the same type.
+//   Dropping on one calls its on-drop expression for each dragged element; drop-effect decides whether the elements
+//   are removed from their containers, put back, or whatever on-drop returns. Drop zones emit zoneDrop. The arrow keys
+//   that move a keyboard dragged element to another container stop at drop zones too, in document order.
+// - Drags can be constrained. drag-axis-lock="true" on a drag-container keeps its elements on the axis of the container
+//   while they are dragged, and drag-boundary keeps their preview within the container ("container") or within the
+//   closest ancestor that matches a CSS selector. drag-disabled="<expr>" on a drag-element stops it from being dragged
+//   (it then has the class drag-disabled). A drag starts once the pointer moved drag-threshold px from where a
+//   drag-handle was pressed, or with drag-delay="<ms>", once the mouse was held down that long. These two can be set on
+//   the drag-handle, its drag-element or its drag-container; the one closest to the handle counts. All of these have
+//   defaults in dragdropConfig.
+// - Containers can limit what they take. max-items="<n>" rejects drops once a container holds n elements, unless it
+//   has swap-on-full="true": then a dropped element trades places with the element next to the drop position. With
+//   drag-accepts="['task', 'bug']", a container also takes elements of these drag types besides its own. drag-group
+//   names the group of a container (or is {name, send, receive}); the groups option of dragdropConfig tells per group
+//   whether its containers may send elements to other groups and receive them (true, false or a list of group names).
+//   Containers that reject a drop show the no-drop cursor (and drag-over-rejected); dropping there puts the elements
+//   back and emits dropRejected.
+// - Containers and elements may come and go during a drag. When a container the dragged elements came from gets
+//   destroyed (e.g. by ng-if), the drag is cancelled; when the container with the ghost goes, the ghost leaves with it.
+// - Drags can also be done without a pointer, e.g. in tests: see dragStore.move and dragStore.begin/over/drop/cancel.
+//   dragdrop-testing.js has a dragSimulator service that simulates pointer drags in jsdom, with mocked layout.
+// - Positions work in containers that are scaled (CSS transforms or zoom) and in right to left layouts (dir="rtl"):
+//   there the ends of horizontal and grid containers are swapped, drop-indent counts from the right, and the left and
+//   right arrow keys are swapped as well. The preview is appended to the body, or to the element that
+//   drag-preview-parent on a drag-container (or the previewParent option of dragdropConfig) selects, e.g. a modal
+//   dialog. It stays under the pointer there, also when that element is transformed.
 
 
 // Instead of having to supply callback functions to the directives of this module, events will be emitted on the rootscope,
 // using $emit. This means, that any listeners should listen to the rootscope using $rootScope.$on
+// The dragEvents service subscribes to the events of a single drag type instead, and drag-container and drag-element
+// also take on-drag-start, on-drag-end and on-move expressions for the events that concern them.
 // Below is a list of all events that can occur. Below every event, there is a description of the event object that gets passed
 // to the event handler when the event happens.
 // - dragdrop:dragStart (whenever drag starts)
 //   * type                  [string] The type of the drag operation, as passed to the directives that make up this drag
+//   * elementData           [any]    The data of the dragged element
+//   * elementsData          [array]  The data of all dragged elements (several when dragging a selection)
+//   * fromContainerData     [any]    The data of the container the dragged element comes from
 //
 // - dragdrop:dragEnd (whenever drag ends)
+//   * (same as dragStart)
+//
+// - dragdrop:dragCancel (whenever a drag is cancelled by Escape, by the window losing focus, by the browser taking over
+//   the touch or by calling dragStore.cancel(), or when drop validation rejected the drop; the element is put back
+//   where it came from. dragEnd follows this event when the drag was cancelled)
 //   * type                  [string] The type of the drag operation, as passed to the directives that make up this drag
+//   * elementData           [any]    The data that was passed to the dragElement directive
+//   * fromContainerData     [any]    The data that was passed to the container where the element started
+//   * fromContainerIndex    [int]    The index of the element in the fromContainer, to which it was restored
 //
 // - dragdrop:elementMoved (whenever an element gets dragged from one position to another
 //   * type                  [string] The type of the drag operation, as passed to the directives that make up this drag
@@ -25,6 +131,58 @@
 //   * fromContainerIndex    [int]    The initial index of the element in the fromContainer
 //   * toContainerData       [any]    The data that was passed to the container where the element ended up
 //   * toContainerIndex      [int]    The new index of the element in its new container
+//   * fromParents           [array]  The data of the drag elements the fromContainer is nested in, outermost first
+//   * toParents             [array]  The data of the drag elements the toContainer is nested in, outermost first
+//   * swap                  [bool]   Set on the second elementMoved of a drop with swap-on-full, for the element that
+//                                    went to where the dropped element came from
+//
+// - dragdrop:elementCopied (whenever a copy of an element gets dropped; see drag-mode)
+//   * (same as elementMoved, but elementData is the copy that was inserted in the toContainer)
+//
+// - dragdrop:elementsMoved (whenever several selected elements get dragged together; elementMoved is not emitted then)
+//   * type                  [string] The type of the drag operation, as passed to the directives that make up this drag
+//   * items                 [array]  For every element, in the order they were dropped, an object with the fields
+//                                    elementData, fromContainerData, fromContainerIndex, fromParents,
+//                                    toContainerData, toContainerIndex and toParents, like the event object of
+//                                    elementMoved
+//
+// - dragdrop:elementsCopied (whenever copies of several selected elements get dropped; see drag-mode)
+//   * (same as elementsMoved, but each elementData is the copy that was inserted in the toContainer)
+//
+// - dragdrop:undo (whenever dragHistory.undo() undid a move, copy or removal)
+//   * type                  [string] The type of the drag operation that was undone
+//   * action                [string] "move", "copy" or "remove"
+//   * items                 [array]  The elements that were put back, like the items of elementsMoved. Undoing a move
+//                                    puts each elementData back from the toContainer into the fromContainer; undoing
+//                                    a copy removes each elementData from the toContainer. Undoing a removal (a drop
+//                                    on a drop-zone) puts each elementData back into the fromContainer.
+//
+// - dragdrop:redo (whenever dragHistory.redo() redid a move, copy or removal)
+//   * (same as undo)
+//
+// - dragdrop:zoneDrop (whenever elements got dropped on a drop-zone; this follows the dragEnd event)
+//   * type                  [string] The type of the drag operation, as passed to the directives that make up this drag
+//   * zoneData              [any]    The data that was passed to the drop zone
+//   * copy                  [bool]   Whether the drag was a copy, which leaves all containers as they were
+//   * items                 [array]  For each dropped element: {elementData, fromContainerData, fromContainerIndex,
+//                                    effect}, with effect "remove" or "restore"
+//
+// - dragdrop:dropRejected (whenever elements were dropped on a container whose max-items or drag-group rejects them;
+//   the drag is cancelled after this)
+//   * type                  [string] The type of the drag operation, as passed to the directives that make up this drag
+//   * rule                  [string] The rule that blocked the drop: "maxItems" or "group"
+//   * elementData           [any]    The data of the element that was dragged
+//   * elementsData          [array]  The data of all dragged elements (several when dragging a selection)
+//   * fromContainerData     [array]  The data of the container the dragged element came from
+//   * toContainerData       [array]  The data of the container that rejected the drop
+//
+// - dragdrop:externalDrop (whenever data from outside the page got dropped in a container; see drop-convert)
+//   * type                  [string] The type of the drag operation, as passed to the directives that make up this drag
+//   * elementsData          [array]  The element data that drop-convert made of the drop, in the order it was inserted
+//   * toContainerData       [any]    The data that was passed to the container where the elements ended up
+//   * toContainerIndex      [int]    The index of the first element in the toContainer
+//   * toParents             [array]  The data of the drag elements the toContainer is nested in, outermost first
+//   * dataTransfer          [object] The DataTransfer of the drop
 
 angular.module("dragdrop", [])
 
@@ -43,7 +201,73 @@ angular.module("dragdrop", [])
     .provider("dragdropConfig", function() {
         var defaultOptions = {
             horizontal: false,
-            dropAllowed: true
+            dropAllowed: true,
+            dropValidate: null, // global drop validator; see the drop-validate attribute of dragContainer
+            dragMode: "move", // or "copy"; see the drag-mode attribute of dragContainer
+            cloneData: angular.copy, // makes the copy of element data when copying
+            native: false, // whether drags use native HTML5 drag and drop; see the drag-native attribute of dragContainer
+            // how native drags put element data in their DataTransfer: a function that serializes it per MIME type
+            mimeTypes: {"application/x-dragdrop+json": angular.toJson, "text/plain": angular.toJson},
+            dropConvert: null, // turns external drops into element data; see the drop-convert attribute of dragContainer
+            modelIndex: null, // maps rendered drop positions to indexes in the data; see drag-model-index of dragContainer
+            layout: "list", // or "grid"; see the drag-layout attribute of dragContainer
+            dropIndent: 0, // see the drop-indent attribute of dragContainer; 0 disables dropping by indentation
+            preview: null, // template of the element that follows the pointer; see drag-preview of dragContainer
+            previewOffset: [0, 0], // px the preview is moved from where the dragged element was relative to the pointer
+            previewOpacity: .7,
+            placeholder: null, // template of the ghost that shows the drop position; see drag-placeholder of dragContainer
+            placeholderStyle: {border: "3px dashed #666"}, // inline style of the default ghost; null to style with CSS
+            // inline style of the preview when dragging several elements (class drag-stack); null to style with CSS
+            stackStyle: {"box-shadow": "4px 4px 0 -1px #fff, 4px 4px 0 0 #666, 8px 8px 0 -1px #fff, 8px 8px 0 0 #666"},
+            // inline style of the number of dragged elements on that preview (class drag-count); null to style with CSS
+            countStyle: {
+                position: "absolute",
+                top: "-8px",
+                right: "-8px",
+                "min-width": "20px",
+                padding: "2px 4px",
+                "border-radius": "10px",
+                background: "#c00",
+                color: "#fff",
+                "font-size": "12px",
+                "text-align": "center"
+            },
+            animationDuration: 0, // ms that elements take to slide to their new place (and the preview to the drop)
+            animationEasing: "ease",
+            historyLimit: 100, // number of moves dragHistory can undo
+            historyKeys: false, // undo and redo with Ctrl+Z and Ctrl+Shift+Z (or Ctrl+Y); see dragHistory
+            autoScroll: true, // scroll containers and the window when dragging near their edges
+            autoScrollEdge: 40, // px from the edge of a container or the window where auto scrolling starts
+            autoScrollSpeed: 20, // maximum auto scroll speed in px per frame, reached at the very edge
+            longPressDelay: 500, // ms a finger has to rest on a drag-handle before a touch drag starts
+            longPressTolerance: 10, // px a finger may move during the long press; moving further means scrolling
+            dragThreshold: 20, // px the pointer has to move before a drag starts; see the drag-threshold attribute
+            dragDelay: 0, // ms the mouse has to be held down before a drag starts instead; see the drag-delay attribute
+            dragDisabled: false, // or function(elementData) returning whether it can't be dragged; see drag-disabled
+            axisLock: false, // see the drag-axis-lock attribute of dragContainer
+            boundary: null, // see the drag-boundary attribute of dragContainer
+            previewParent: null, // element the preview is appended to instead of the body; see drag-preview-parent
+            maxItems: null, // maximum number of elements in a container; see the max-items attribute of dragContainer
+            swapOnFull: false, // see the swap-on-full attribute of dragContainer
+            // which container groups may send elements to which, by group name; see the drag-group attribute of
+            // dragContainer. E.g. {done: {send: false}, archive: {receive: false}, todo: {receive: ["backlog"]}}
+            groups: {},
+
+            // Screen reader announcements for keyboard dragging. {position}, {total} and {container} are replaced by
+            // the position of the element, the number of elements and the label of the container it is in.
+            messages: {
+                pickedUp: "Picked up item {position} of {total} in {container}. " +
+                          "Use the arrow keys to move it, Enter to drop it and Escape to cancel.",
+                moved: "Item {position} of {total} in {container}.",
+                dropped: "Dropped item at position {position} of {total} in {container}.",
+                cancelled: "Move cancelled. Item returned to position {position} of {total} in {container}.",
+                rejected: "Drop not allowed. Item returned to position {position} of {total} in {container}.",
+                overZone: "Over {container}. Press Enter to drop the item there.",
+                droppedOnZone: "Dropped item on {container}.",
+                removed: "Move cancelled. The item was removed from {container}.",
+                container: "the list", // label for containers without container-label or aria-label
+                zone: "the drop zone" // label for drop zones without zone-label or aria-label
+            }
         };
 
         var globalOptions = {};
@@ -53,17 +277,48 @@ angular.module("dragdrop", [])
         };
 
         this.$get = function() {
-            return angular.extend({}, defaultOptions, globalOptions);
+            var options = angular.extend({}, defaultOptions, globalOptions);
+            // apps may override some of the messages only
+            options.messages = angular.extend({}, defaultOptions.messages, globalOptions.messages);
+            return options;
         };
     })
 
+    // Announces messages to screen reader users through an ARIA live region, which is created on first use
+    .factory("dragAnnouncer", ["$document", function($document) {
+        var region = null;
+
+        return function(message) {
+            if(!region) {
+                region = angular.element("<div class=\"drag-live-region\" aria-live=\"assertive\" aria-atomic=\"true\"></div>")
+                    .css({
+                        // visually hidden, but still read by screen readers
+                        position: "absolute",
+                        width: "1px",
+                        height: "1px",
+                        overflow: "hidden",
+                        clip: "rect(0 0 0 0)",
+                        "white-space": "nowrap"
+                    });
+                angular.element($document[0].body).append(region);
+            }
+            region.text(message);
+        };
+    }])
+
     // Defines constructor for Drag object, which manages all drag related things for a specific drag type
-    .factory("Drag", ["$rootScope", "$window", "$document", "$timeout", "dragdropConfig",
-        function($rootScope, $window, $document, $timeout, dragdropConfig) {
+    .factory("Drag", ["$rootScope", "$window", "$document", "$timeout", "$q", "$compile", "$templateCache", "$injector",
+        "$animate", "dragdropConfig", "dragAnnouncer",
+        function($rootScope, $window, $document, $timeout, $q, $compile, $templateCache, $injector,
+                 $animate, dragdropConfig, dragAnnouncer) {
             function docRelPos(clientCoords) {
                 return [clientCoords[0] + $window.scrollX, clientCoords[1] + $window.scrollY];
             }
 
+            function clientPos(docCoords) {
+                return [docCoords[0] - $window.scrollX, docCoords[1] - $window.scrollY];
+            }
+
             function rect(elem) {
                 var r = elem[0].getBoundingClientRect();
                 var p = docRelPos([r.left, r.top]);
@@ -75,6 +330,91 @@ angular.module("dragdrop", [])
                 };
             }
 
+            function ratio(a, b) {
+                return a && b ? a / b : 1;
+            }
+
+            // How much larger elem looks than its CSS size, by the transforms and zoom of it and its ancestors: the
+            // ratio of its bounding rect to its layout size. 1 when it can't be measured (e.g. without layout).
+            function scale(elem) {
+                var r = elem[0].getBoundingClientRect();
+                return [ratio(r.width, elem[0].offsetWidth), ratio(r.height, elem[0].offsetHeight)];
+            }
+
+            function rtl(elem) {
+                return $window.getComputedStyle(elem[0]).direction === "rtl";
+            }
+
+            // Where an element with a fixed position in parent ends up. Inside a transformed ancestor, fixed
+            // positions are relative to that ancestor instead of the viewport, and scaled along with it. Measured with
+            // a probe, so that the styles of the preview don't matter.
+            function fixedFrame(parent) {
+                var probe = angular.element("<div></div>").css({
+                    position: "fixed",
+                    left: 0,
+                    top: 0,
+                    width: "100px",
+                    height: "100px",
+                    visibility: "hidden"
+                });
+                parent.append(probe);
+                var r = probe[0].getBoundingClientRect();
+                probe.remove();
+                return {left: r.left, top: r.top, scale: [ratio(r.width, 100), ratio(r.height, 100)]};
+            }
+
+            // The CSS left and top that put an element with a fixed position in frame (see fixedFrame) at clientCoords
+            function framePos(frame, clientCoords) {
+                return {
+                    left: (clientCoords[0] - frame.left) / frame.scale[0] + "px",
+                    top: (clientCoords[1] - frame.top) / frame.scale[1] + "px"
+                };
+            }
+
+            // Horizontal scroll positions in RTL boxes go from 0 at the right to negative values, which this turns into
+            // the distance from the left as in LTR boxes
+            function scrollLeft(elem, scrollPos, scrollMax) {
+                return scrollPos <= 0 && rtl(angular.element(elem)) ? scrollPos + scrollMax : scrollPos;
+            }
+
+            // Removes elementData from data at index. The data may hold equal values (e.g. copied strings) or
+            // look-alikes of it (e.g. copied objects), so it is only looked up by identity when the data changed since.
+            function removeData(data, elementData, index) {
+                index = data[index] === elementData ? index : _.indexOf(data, elementData);
+                index >= 0 && data.splice(index, 1);
+            }
+
+            // Drags are mostly driven by DOM events, whose handlers run outside of the digest: while one of them runs
+            // (see handler), apply digests our changes right away. Everything else already runs inside a digest that
+            // picks them up: promise callbacks, timeouts, and the calls of the app to dragStore and dragHistory (e.g.
+            // from an ng-click; like with other services, calls from outside of Angular go through $scope.$apply).
+            var outside = false;
+
+            function handler(fn) {
+                return function() {
+                    var was = outside;
+                    outside = true;
+                    try {
+                        return fn.apply(this, arguments);
+                    } finally {
+                        outside = was;
+                    }
+                };
+            }
+
+            function apply(fn) {
+                if(!outside) {
+                    return fn && fn();
+                }
+                // the digest may call the API (e.g. from a watcher), which must not apply again then
+                outside = false;
+                try {
+                    return $rootScope.$apply(fn);
+                } finally {
+                    outside = true;
+                }
+            }
+
             function register(arr, elem) {
                 arr.push(elem);
                 return function() {
@@ -90,8 +430,7 @@ angular.module("dragdrop", [])
                 return point[1] >= r.top && point[1] <= r.top + r.height;
             }
 
-            function contains(elem, point) {
-                var r = rect(elem);
+            function contains(r, point) {
                 return containsX(r, point) && containsY(r, point);
             }
 
@@ -109,22 +448,247 @@ angular.module("dragdrop", [])
             // - If a coordinate lies within the bounding rect, the distance for this dimension is 0
             // - Otherwise, the distance is the minimum distance between the point and both edges in this dimension.
             // - The total distance is the sum of the distance for X and Y
-            function distance(elem, point) {
-                var r = rect(elem);
+            function distance(r, point) {
                 var distX = containsX(r, point) ? 0 : closest(r.left, r.left + r.width , point[0]);
                 var distY = containsY(r, point) ? 0 : closest(r.top,  r.top  + r.height, point[1]);
                 return distX + distY;
             }
 
 
-            // Takes Angular element and returns next Angular element with the attribute drag-element or data-drag-element set
+            // Returns the first Angular element with the class drag-element from node on, following the sibling property
+            // ("nextSibling" or "previousSibling"), or [null]. The ghost is skipped, since it is no real drag element.
+            function siblingDragElement(node, sibling) {
+                while(node && (!angular.element(node).hasClass("drag-element") || angular.element(node).hasClass("ghost"))) {
+                    node = node[sibling];
+                }
+                return node ? angular.element(node) : [null];
+            }
 
+            // Takes Angular element and returns next Angular element with the class drag-element, or [null]
             function nextDragElement(dragElem) {
-                var next = angular.element(dragElem[0].nextSibling);
-                while(next[0] && !next.hasClass("drag-element")) {
-                    next = angular.element(next[0].nextSibling);
+                return siblingDragElement(dragElem[0].nextSibling, "nextSibling");
+            }
+
+            // Takes Angular element and returns previous Angular element with the class drag-element, or [null]
+            function previousDragElement(dragElem) {
+                return siblingDragElement(dragElem[0].previousSibling, "previousSibling");
+            }
+
+            // Takes the Angular element of a container and returns its last drag element, or [null]
+            function lastDragElement(containerElem) {
+                return siblingDragElement(containerElem[0].lastChild, "previousSibling");
+            }
+
+            // Of the containers, returns the one that is nested deepest. Containers under the pointer are always nested
+            // in each other (or the same), so this is the innermost container under the pointer.
+            function innermost(containers) {
+                return _.reduce(containers, function(inner, c) {
+                    return !inner || inner.elem[0].contains(c.elem[0]) ? c : inner;
+                }, undefined);
+            }
+
+            // Fills in the placeholders of one of the messages in dragdropConfig.messages
+            function message(name, container, index) {
+                var messages = dragdropConfig.messages;
+                var values = {
+                    position: index + 1,
+                    total: container.data && container.data.length,
+                    container: container.label || (container instanceof Drag.Zone ? messages.zone : messages.container)
+                };
+                return messages[name].replace(/\{(\w+)\}/g, function(match, key) {
+                    return values[key];
+                });
+            }
+
+            // Whether the user can scroll the element (as opposed to the content fitting in it, or overflow: hidden)
+            function scrollable(el) {
+                var style = $window.getComputedStyle(el);
+                var overflow = /auto|scroll/;
+                return (overflow.test(style.overflowY) && el.scrollHeight > el.clientHeight) ||
+                       (overflow.test(style.overflowX) && el.scrollWidth > el.clientWidth);
+            }
+
+            // Auto scroll speed in px per frame along one axis. The speed increases linearly from 0 at the inner side
+            // of the edge zone to autoScrollSpeed at the outer side (or beyond). It is 0 when the position is not in the
+            // edge zone or when there is nothing left to scroll in that direction.
+            function scrollSpeed(pos, start, end, scrollPos, scrollMax) {
+                var edge = dragdropConfig.autoScrollEdge;
+                var speed = function(distance) {
+                    return Math.ceil(dragdropConfig.autoScrollSpeed * (1 - Math.max(distance, 0) / edge));
+                };
+                if(pos - start < edge && scrollPos > 0) {
+                    return -speed(pos - start);
+                }
+                if(end - pos < edge && scrollPos < scrollMax) {
+                    return speed(end - pos);
+                }
+                return 0;
+            }
+
+            // Returns what to scroll while the pointer is at clientCoords: the nearest scrollable ancestor of the
+            // hovered container (or the container itself) when the pointer is near one of its edges, or otherwise the
+            // window when the pointer is near the edge of the viewport. Returns null if nothing should scroll.
+            function scrollTarget(clientCoords, hoverContainer) {
+                var el = hoverContainer ? hoverContainer.elem[0] : null;
+                var root = $document[0].documentElement;
+                while(el && el !== $document[0].body && el !== root && !scrollable(el)) {
+                    el = el.parentNode;
+                }
+                if(el && el !== $document[0].body && el !== root) {
+                    var r = el.getBoundingClientRect();
+                    var maxX = el.scrollWidth - el.clientWidth;
+                    var dx = scrollSpeed(clientCoords[0], r.left, r.right, scrollLeft(el, el.scrollLeft, maxX), maxX);
+                    var dy = scrollSpeed(clientCoords[1], r.top, r.bottom, el.scrollTop, el.scrollHeight - el.clientHeight);
+                    if(dx || dy) {
+                        return {elem: el, dx: dx, dy: dy};
+                    }
+                }
+                var winMaxX = root.scrollWidth - $window.innerWidth;
+                var winX = scrollSpeed(clientCoords[0], 0, $window.innerWidth, scrollLeft(root, $window.scrollX, winMaxX),
+                    winMaxX);
+                var winY = scrollSpeed(clientCoords[1], 0, $window.innerHeight, $window.scrollY,
+                    root.scrollHeight - $window.innerHeight);
+                return winX || winY ? {elem: null, dx: winX, dy: winY} : null;
+            }
+
+            // The duration (in ms) and easing of animations in the container, or null when it shouldn't animate: when
+            // its duration is 0, when the user prefers reduced motion, or when ngAnimate has animations disabled
+            function animation(container) {
+                var duration = container && _.isNumber(container.animationDuration) ?
+                    container.animationDuration :
+                    dragdropConfig.animationDuration;
+                if(!duration ||
+                    ($window.matchMedia && $window.matchMedia("(prefers-reduced-motion: reduce)").matches) ||
+                    $animate.enabled() === false ||
+                    (container && $animate.enabled(container.elem) === false)) {
+                    return null;
+                }
+                return {
+                    duration: duration,
+                    easing: (container && container.animationEasing) || dragdropConfig.animationEasing
+                };
+            }
+
+            // Transitions the styles of elem from "from" to "to", and calls done afterwards. With ngAnimate loaded this
+            // goes through $animateCss, so that it works together with other animations on the element.
+            function animate(elem, from, to, anim, done) {
+                done = done || _.noop;
+                // $animateCss is part of the core as well, but only animates with ngAnimate, which provides $$animation
+                if($injector.has("$$animation")) {
+                    $injector.get("$animateCss")(elem, {
+                        from: from,
+                        to: to,
+                        duration: anim.duration / 1000,
+                        easing: anim.easing
+                    }).start().then(done);
+                    return;
                 }
-                return _.isEmpty(next) ? [null] : next;
+                elem.css("transition", "none").css(from);
+                elem[0].getBoundingClientRect(); // forces a reflow, so that the transition starts at "from"
+                elem.css("transition", _.map(_.keys(to), function(property) {
+                    return property + " " + anim.duration + "ms " + anim.easing;
+                }).join(", ")).css(to);
+                $timeout(function() {
+                    elem.css("transition", "");
+                    done();
+                }, anim.duration, false);
+            }
+
+            // First step of a FLIP animation: measures where the children of the containers are before they move. This only
+            // reads the layout for containers that animate.
+            function measure(containers) {
+                return _.flatMap(_.uniq(_.compact(containers)), function(container) {
+                    var anim = animation(container);
+                    // translations are in the CSS px of the container, which may be scaled
+                    var containerScale = anim && scale(container.elem);
+                    return !anim ? [] : _.map(container.elem.children(), function(child) {
+                        var elem = angular.element(child);
+                        return {
+                            elem: elem,
+                            rect: child.getBoundingClientRect(),
+                            animation: anim,
+                            scale: containerScale,
+                            // the inline styles the app gave the child, to put back after the animation; a child that
+                            // is still moving has them saved from before its earlier animation
+                            style: elem.data("dragdropStyle") || {
+                                transform: child.style.transform,
+                                transition: child.style.transition
+                            }
+                        };
+                    });
+                });
+            }
+
+            function restoreStyle(elem, style) {
+                elem.css(style).removeData("dragdropStyle");
+            }
+
+            // The rest of a FLIP animation: moves the children measured before back to where they were with a transform,
+            // and lets them transition to their new place. Returns how long (in ms) the children will be moving.
+            function flip(measured) {
+                var duration = 0;
+                _.each(measured, function(m) {
+                    // a child that is still moving is measured without the transform of its earlier animation, which
+                    // then won't put back the inline styles anymore
+                    var flipped = {};
+                    m.elem.data("dragdropStyle", m.style).data("dragdropFlip", flipped);
+                    m.elem.css({transition: "none", transform: m.style.transform});
+                    var r = m.elem[0].getBoundingClientRect();
+                    var dx = (m.rect.left - r.left) / m.scale[0];
+                    var dy = (m.rect.top - r.top) / m.scale[1];
+                    if((dx || dy) && m.elem[0].parentNode) {
+                        animate(m.elem, {transform: ("translate(" + dx + "px, " + dy + "px) " + m.style.transform).trim()},
+                            {transform: m.style.transform}, m.animation, function() {
+                                m.elem.data("dragdropFlip") === flipped && restoreStyle(m.elem, m.style);
+                            });
+                        duration = Math.max(duration, m.animation.duration);
+                    } else {
+                        restoreStyle(m.elem, m.style);
+                    }
+                });
+                return duration;
+            }
+
+            // The locals for the dropConvert function of a container, read from the DataTransfer of an external drop
+            function externalData(dataTransfer) {
+                var get = function(type) {
+                    try {
+                        return dataTransfer.getData(type) || "";
+                    } catch(e) {
+                        return ""; // some browsers throw for types they don't support
+                    }
+                };
+                var json = null;
+                _.find(_.keys(dragdropConfig.mimeTypes).concat(["application/json"]), function(type) {
+                    if(!/json/.test(type) || !get(type)) return false;
+                    try {
+                        json = angular.fromJson(get(type));
+                        return true;
+                    } catch(e) {
+                        return false;
+                    }
+                });
+                return {
+                    dataTransfer: dataTransfer,
+                    files: _.toArray(dataTransfer.files),
+                    // text/uri-list has one URL per line, and comments starting with #
+                    uri: _.find(get("text/uri-list").split(/\r?\n/), function(line) {
+                        return line && line[0] !== "#";
+                    }) || null,
+                    text: get("text/plain"),
+                    json: json
+                };
+            }
+
+            var requestFrame = $window.requestAnimationFrame ?
+                function(fn) { return $window.requestAnimationFrame(handler(fn)); } :
+                function(fn) { return $timeout(handler(fn), 16, false); };
+
+            // Containers ordered by their position in the document, as opposed to the order in which they registered
+            function documentOrder(containers) {
+                return containers.slice().sort(function(a, b) {
+                    return a.elem[0].compareDocumentPosition(b.elem[0]) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1;
+                });
             }
 
             function Drag(type) {
@@ -136,24 +700,216 @@ angular.module("dragdrop", [])
                 var _dragElement = null; // Instance of Drag.Element; the currently dragged element
                 var _dragElem = null; // Angular element, clone of _dragElement.elem; used for dragging around
                 var _mousePos = null; // mouse position relative to the top left corner of the drag element
+                var _dragSize = null; // [width, height] of the dragged element
+                var _frame = null; // how the preview is positioned in its parent, see fixedFrame and _onLayout
+                var _templateScope = null; // scope that drag-preview and drag-placeholder templates are compiled with
+                var _placeholders = {}; // compiled drag-placeholder templates by id, reused during a drag
+                var _hoverContainer = null; // the container under the pointer, which has the class drag-over
+                var _native = false; // whether the current drag is a native HTML5 drag, see self.start
+                var _removal = null; // timeout promise of taking the dragged elements out of their containers (native)
+                var _zone = null; // the Drag.Zone under the pointer; while there is one, the ghost is out of the document
+                var _zoneReturn = null; // where the ghost was before it got taken out for _zone: [parent, nextSibling]
+                var _scripted = false; // whether the drag is driven by begin/over/drop instead of a pointer or the keyboard
+                var _scriptedIndex = 0; // where a scripted drag drops, in the data of _ghostContainer
+                var _startCoords = null; // document coordinates of the pointer when the drag started
+                var _boundary = null; // {elem, rect}: the element the preview is confined to, see _constrain
+                var _rejected = null; // {container, rule} when the pointer is on a container whose rules reject the drop
 
                 // private ghost vars
                 var _ghostContainer = null; // Drag.Container instance; the container containing the ghost element
                 var _ghost = null; // Angular element
+                var _ghostFor = null; // the container the ghost was created for; it is reused while it stays there
 
                 // private origin vars
                 var _sourceContainer = null;
                 var _sourceContainerIndex = 0;
+                var _sourceData = null; // data of the dragged element; in copy mode, _dragElement may hold a copy
+                var _copy = false; // whether the current drag copies the element instead of moving it
+                var _group = []; // {data, container, index, parents} of all dragged elements, in document order
+                var _subtrees = []; // DOM elements of the dragged elements, which may contain nested containers
+
+                // private selection vars
+                var _selection = []; // data of the selected elements
+                var _selectionAnchor = null; // data of the element that was last clicked without Shift
+
+                // private keyboard vars; when dragging with the keyboard there is no clone and no ghost. Instead the
+                // element itself is moved around, so that it stays visible and can keep the focus.
+                var _keyboard = false;
+                var _keyboardIndex = 0; // index of the element in _ghostContainer
+                var _removing = false; // whether we are taking the element out of a container, see _elementGone
+
+                // private auto scroll vars
+                var _clientCoords = null; // last pointer position, relative to the viewport
+                var _scroll = null; // what is being scrolled, see scrollTarget
+                var _scrollFrame = null; // whether a scroll step is scheduled
+
+                // private validation vars
+                var _validation = null; // the drop validation of the current ghost position, see _validateGhost
+
+                // private layout vars; pointer moves are processed once per animation frame, with the rects of
+                // containers and elements measured once and reused until the layout may have changed
+                var _pointer = null; // the latest pointer position (relative to the document) that is not processed yet
+                var _dragFrame = null; // whether processing the pointer position is scheduled
+                var _layout = 0; // incremented whenever the layout may have changed, which outdates the cached rects
+                var _settled = 0; // time until which elements may be moving by an animation, see flip
+                var _indexed = false; // whether the elements of the containers are up to date, see _elementsOf
 
 
                 // private functions
-                var _createGhost = function(elem) {
+                // Creates an element from a drag-preview or drag-placeholder template, which is either the id of an
+                // ng-template, or a function that gets the element data and element and returns an element or HTML.
+                // HTML is compiled against the scope of the dragged element, with elementData added to it.
+                var _fromTemplate = function(template) {
+                    var html = _.isFunction(template) ?
+                        template(_sourceData, _dragElement.elem) :
+                        $templateCache.get(template);
+                    if(!_.isString(html)) {
+                        return angular.element(html);
+                    }
+                    var elem = angular.element("<div></div>").html(_.trim(html));
+                    // templates with a single root element don't need the wrapping div
+                    if(elem.children().length === 1 && elem.contents().length === 1) {
+                        elem = elem.children();
+                    }
+                    if(!_templateScope) {
+                        _templateScope = (_dragElement.scope || $rootScope).$new();
+                        _templateScope.elementData = _sourceData;
+                    }
+                    $compile(elem)(_templateScope);
+                    outside && _templateScope.$digest();
+                    return elem;
+                };
+
+                var _createPreview = function() {
+                    var template = _sourceContainer.preview || dragdropConfig.preview;
+                    var preview = template ?
+                        _fromTemplate(template) :
+                        angular.element(_dragElement.elem[0].cloneNode(true)).css({
+                            width: _dragSize[0] / _frame.scale[0] + "px",
+                            height: _dragSize[1] / _frame.scale[1] + "px"
+                        });
+                    return preview.addClass("drag-preview");
+                };
+
+                var _createGhost = function(elem, dragContainer) {
+                    var ghost;
+                    var template = (dragContainer || _sourceContainer).placeholder || dragdropConfig.placeholder;
+                    if(template) {
+                        // compiled templates are reused, since the ghost is created again on every move; functions
+                        // are expected to be cheap
+                        ghost = _.isFunction(template) ?
+                            _fromTemplate(template) :
+                            (_placeholders[template] = _placeholders[template] || _fromTemplate(template));
+                        return ghost.addClass("ghost drag-placeholder");
+                    }
+                    ghost = angular.element(elem[0].cloneNode(false))
+                        .css(dragdropConfig.placeholderStyle || {})
+                        .removeClass("drag-source drag-selected")
+                        .addClass("ghost drag-placeholder");
+                    if(dragContainer && dragContainer.layout === "grid") {
+                        // In a CSS grid the ghost stretches to the size of its cell by itself. Other grids (e.g. with
+                        // flex-wrap) get a ghost of the size of the dragged element, which is usually the cell size.
+                        // The sizes are measured on screen, so they are scaled back to the CSS px of the container.
+                        var s = scale(dragContainer.elem);
+                        if(/grid/.test($window.getComputedStyle(dragContainer.elem[0]).display)) {
+                            return ghost.css("min-height", _dragSize[1] / s[1] + "px");
+                        }
+                        return ghost.css({width: _dragSize[0] / s[0] + "px", height: _dragSize[1] / s[1] + "px"});
+                    }
                     var bbox = elem[0].getBoundingClientRect();
-                    return angular.element(elem[0].cloneNode(false))
-                        .css("width", bbox.width+"px")
-                        .css("height", bbox.height+"px")
-                        .css("border", "3px dashed #666")
-                        .addClass("ghost");
+                    return ghost
+                        .css("width", bbox.width / ratio(bbox.width, elem[0].offsetWidth) + "px")
+                        .css("height", bbox.height / ratio(bbox.height, elem[0].offsetHeight) + "px");
+                };
+
+                var _layoutChanged = function() {
+                    _layout++;
+                };
+
+                // The rect of a container or element, which is measured once per layout. Elements that are still
+                // sliding to their place are measured again the next time.
+                var _rectOf = function(obj) {
+                    if(obj.rectLayout !== _layout) {
+                        obj.rect = rect(obj.elem);
+                        obj.rectLayout = Date.now() < _settled ? null : _layout;
+                    }
+                    return obj.rect;
+                };
+
+                // Whether a container is laid out right to left (dir="rtl"), which is read once per layout as well
+                var _rtl = function(dragContainer) {
+                    if(dragContainer.rtlLayout !== _layout) {
+                        dragContainer.rtl = rtl(dragContainer.elem);
+                        dragContainer.rtlLayout = _layout;
+                    }
+                    return dragContainer.rtl;
+                };
+
+                // The elements of a container (not those of containers nested in it) in document order. All elements are
+                // divided over their containers at once, after elements or containers (un)registered.
+                var _elementsOf = function(dragContainer) {
+                    if(!_indexed) {
+                        _.forEach(self.containers, function(c) {
+                            c.elements = [];
+                        });
+                        _.forEach(self.elements, function(el) {
+                            var c = _.find(self.containers, function(c) {
+                                return c.elem[0] === el.elem[0].parentNode;
+                            });
+                            c && c.elements.push(el);
+                        });
+                        _.forEach(self.containers, function(c) {
+                            c.elements = documentOrder(c.elements);
+                        });
+                        _indexed = true;
+                    }
+                    return dragContainer.elements;
+                };
+
+                // For containers with drag-layout="grid" (rows of elements that wrap, e.g. with flex-wrap or a CSS
+                // grid), finds the element before which the ghost goes using both axes: first the row at the height of
+                // the pointer, then the position within that row. Returns [null] to put the ghost at the end, when
+                // the pointer is below the last row or next to the last element (e.g. in an empty trailing cell). In
+                // right to left grids the rows start at the right.
+                var _gridElemAfterGhost = function(elements, mouseCoords, rightToLeft) {
+                    var rows = [];
+                    _.forEach(elements, function(el) {
+                        var r = _rectOf(el);
+                        var row = _.last(rows);
+                        if(!row || r.top >= row.bottom) {
+                            row = {bottom: r.top + r.height, cells: []};
+                            rows.push(row);
+                        }
+                        row.bottom = Math.max(row.bottom, r.top + r.height);
+                        row.cells.push({elem: el.elem, rect: r});
+                    });
+                    // pointers above the first row or in the gap above a row belong to that row
+                    var row = _.find(rows, function(row) {
+                        return mouseCoords[1] < row.bottom;
+                    });
+                    if(!row) {
+                        return [null];
+                    }
+                    var cell = _.find(row.cells, function(cell) {
+                        var middle = cell.rect.left + cell.rect.width / 2;
+                        return rightToLeft ? mouseCoords[0] > middle : mouseCoords[0] < middle;
+                    });
+                    return cell ? cell.elem : nextDragElement(_.last(row.cells).elem);
+                };
+
+                // The rows of a grid are measured as they are without the ghost, since the cell it takes up would shift
+                // the elements after it. It is put back right away, so the user doesn't see this.
+                var _measureGrid = function(elements) {
+                    if(_.every(elements, function(el) { return el.rectLayout === _layout; })) return;
+                    if(!_ghost) {
+                        _.forEach(elements, _rectOf);
+                        return;
+                    }
+                    var parent = _ghost[0].parentNode;
+                    var next = _ghost[0].nextSibling;
+                    parent && parent.removeChild(_ghost[0]);
+                    _.forEach(elements, _rectOf);
+                    parent && parent.insertBefore(_ghost[0], next);
                 };
 
                 var _removeGhost = function() {
@@ -163,6 +919,53 @@ angular.module("dragdrop", [])
                     }
                 };
 
+                // Marks the container under the pointer with the class drag-over, and drag-over-rejected when the
+                // dragged element can't be dropped there
+                var _hover = function(dragContainer, allowed) {
+                    if(_hoverContainer !== dragContainer) {
+                        _hoverContainer && _hoverContainer.elem.removeClass("drag-over drag-over-rejected");
+                        _hoverContainer = dragContainer;
+                        _hoverContainer && _hoverContainer.elem.addClass("drag-over");
+                    }
+                    _hoverContainer && _hoverContainer.elem.toggleClass("drag-over-rejected", !allowed);
+                };
+
+                // Marks the start of a drag with the classes drag-active on the body and drag-source on the element
+                var _markStart = function() {
+                    angular.element($document[0].body).addClass("drag-active");
+                    _dragElement.elem.addClass("drag-source");
+                };
+
+                // Removes what _markStart and _hover added, and forgets the templates of this drag. The template scope
+                // lives on in the drop state, until the ghost is removed.
+                var _markEnd = function() {
+                    angular.element($document[0].body).removeClass("drag-active");
+                    _dragElement.elem.removeClass("drag-source");
+                    _hover(null);
+                    _templateScope = null;
+                    _placeholders = {};
+                };
+
+                // Removes the preview, after letting it slide to the drop position when the container animates
+                var _dropPreview = function() {
+                    var preview = _dragElem;
+                    var anim = animation(_ghostContainer);
+                    if(!anim || _native) {
+                        preview.remove();
+                        return;
+                    }
+                    var r = _ghost[0].getBoundingClientRect();
+                    animate(preview, {}, framePos(_frame, [r.left, r.top]), anim, function() {
+                        preview.remove();
+                    });
+                };
+
+                // Removes the ghost of a finished drop, together with the scope of its template
+                var _removeDropGhost = function(drop) {
+                    drop.ghost && drop.ghost.remove();
+                    drop.templateScope && drop.templateScope.$destroy();
+                };
+
                 var _getElementIndex = function(dragContainer, elem) {
                     var i = 0;
                     var prev = angular.element(elem[0].previousSibling);
@@ -175,190 +978,1588 @@ angular.module("dragdrop", [])
                     return i;
                 };
 
-                var _removeElemFromContainer = function(dragContainer, dragElement) {
-                    _.remove(dragContainer.data, dragElement.data);
-                    $rootScope.$apply();
+                // The index of a Drag.Element in the data of its container
+                var _modelIndex = function(dragContainer, dragElement) {
+                    var index = dragElement.index && dragElement.index();
+                    return _.isNumber(index) ? index : _.indexOf(dragContainer.data, dragElement.data);
                 };
 
-                var _addElemToContainer = function(dragContainer, dragElement, index) {
-                    // First we will have to figure out the index
-                    // We do this by starting at the ghost element, and walk back until the first element of the container
-                    // using previousSibling, counting all .drag-element elements along the way
-                    dragContainer.data.splice(index, 0, dragElement.data);
-                    $rootScope.$apply();
+                // The Drag.Element of dragContainer with the DOM element of the Angular element elem, if any
+                var _elementAt = function(dragContainer, elem) {
+                    return elem[0] ? _.find(_elementsOf(dragContainer), function(el) {
+                        return el.elem[0] === elem[0];
+                    }) : null;
                 };
 
+                // The index in the data of dragContainer where the ghost is. The rendered elements may differ from the
+                // data (e.g. with a filter or orderBy in ng-repeat, or with only the visible rows of a long list
+                // rendered), so by default it goes right before the data of the element after the ghost, or right
+                // after that of the element before it. The modelIndex function of the container can decide otherwise.
+                var _dropIndex = function(dragContainer) {
+                    return _modelPosition(dragContainer, previousDragElement(_ghost), nextDragElement(_ghost),
+                        _getElementIndex(dragContainer, _ghost));
+                };
 
-                // public attributes
-                self.containers = [];
-                self.elements = [];
-
-
-                // public methods
-                self.mouse = Drag.mouse;
-
-                // dragContainer should be instance of Drag.Container
-                self.registerContainer = function(dragContainer) {
-                    return register(self.containers, dragContainer);
+                // The index in the data of dragContainer for a drop between the Angular elements previousElem and
+                // nextElem (either may be [null]), which is at renderedIndex among the rendered elements. See _dropIndex.
+                var _modelPosition = function(dragContainer, previousElem, nextElem, renderedIndex) {
+                    var previous = _elementAt(dragContainer, previousElem);
+                    var next = _elementAt(dragContainer, nextElem);
+                    if(dragContainer.modelIndex) {
+                        return dragContainer.modelIndex({
+                            renderedIndex: renderedIndex,
+                            previousData: previous ? previous.data : null,
+                            nextData: next ? next.data : null,
+                            containerData: dragContainer.data
+                        });
+                    }
+                    var index = next ? _modelIndex(dragContainer, next) : -1;
+                    if(index < 0 && previous) {
+                        index = _modelIndex(dragContainer, previous);
+                        index = index < 0 ? -1 : index + 1;
+                    }
+                    return index < 0 ? Math.min(renderedIndex, dragContainer.data.length) : index;
                 };
 
-                // dragElement should be instance of Drag.Element
-                self.registerElement = function(dragElement) {
-                    return register(self.elements, dragElement);
+                var _removeElemFromContainer = function(dragContainer, elementData, index) {
+                    removeData(dragContainer.data, elementData, index);
+                    // the drag element of the data may get destroyed now, which doesn't end the drag; see _elementGone
+                    _removing = true;
+                    apply();
+                    _removing = false;
                 };
 
-                self.dragging = function() {
-                    return _dragging;
+                // The state of the current drag that is needed to finish a drop. Since drops may finish
+                // asynchronously (see _drop), a new drag may have started by then.
+                var _dropState = function() {
+                    return {
+                        element: _dragElement,
+                        data: _sourceData,
+                        source: _sourceContainer,
+                        sourceIndex: _sourceContainerIndex,
+                        target: _ghostContainer,
+                        ghost: _ghost,
+                        copy: _copy,
+                        group: _group,
+                        targetParents: _ghostContainer ? _parents(_ghostContainer) : [],
+                        swap: !!_ghostContainer && _swaps(_ghostContainer),
+                        templateScope: _templateScope
+                    };
                 };
 
+                // Adds the items of a group back to their containers. Inserting them in the order of their original
+                // index restores every container, also when several items came from the same container.
+                var _restoreGroup = function(group) {
+                    _.forEach(_.sortBy(group, "index"), function(item) {
+                        item.container.data.splice(item.index, 0, item.data);
+                    });
+                    apply();
+                };
 
-                self.start = function(startCoordsMouse, dragContainer, dragElement) {
-                    if(_dragging) return;
-                    $rootScope.$emit("dragdrop:dragStart", {type: _type});
+                var _removeGroup = function(group) {
+                    // the highest index first, so that the indexes of the other items in a container stay right
+                    _.forEachRight(_.sortBy(group, "index"), function(item) {
+                        removeData(item.container.data, item.data, item.index);
+                    });
+                    apply();
+                };
 
-                    // start with setting some source info
-                    _sourceContainer = dragContainer;
-                    _sourceContainerIndex = _.findIndex(_sourceContainer.data, dragElement.data);
+                // Data of the drag elements that contain dragContainer, outermost first. For nested containers (e.g. a
+                // tree) this is the path from the root to the container.
+                var _parents = function(dragContainer) {
+                    return _.map(documentOrder(_.filter(self.elements, function(el) {
+                        return el.elem[0] !== dragContainer.elem[0] && el.elem[0].contains(dragContainer.elem[0]);
+                    })), "data");
+                };
 
-                    _dragElement = dragElement;
-                    _dragElem = angular.element(_dragElement.elem[0].cloneNode(true));
+                // Elements can't be dropped in containers nested inside themselves
+                var _inSubtree = function(dragContainer) {
+                    return _.some(_subtrees, function(el) {
+                        return el.contains(dragContainer.elem[0]);
+                    });
+                };
 
-                    var r = rect(_dragElement.elem);
-                    _mousePos = [r.left - startCoordsMouse[0], r.top - startCoordsMouse[1]];
-                    _dragElem.css({
-                        position: "fixed",
-                        "z-index": 9999,
-                        left: r.left + "px",
-                        top: r.top + "px",
-                        width: r.width + "px",
-                        height: r.height + "px",
-                        opacity: .7
+                // For containers with a dropIndent (trees), moves the target of the ghost one level deeper when the
+                // pointer is more than dropIndent px to the right of the element before it (to the left in right to left
+                // containers): the ghost goes to the end of the first container nested in that element. See _ghostTarget.
+                var _indentTarget = function(target, mouseCoords) {
+                    var dragContainer = target.container;
+                    var prev = target.before[0] ? previousDragElement(target.before) : lastDragElement(dragContainer.elem);
+                    if(!dragContainer.dropIndent || dragContainer.horizontal || !prev[0]) {
+                        return target;
+                    }
+                    var r = rect(prev);
+                    var indented = _rtl(dragContainer) ?
+                        mouseCoords[0] < r.left + r.width - dragContainer.dropIndent :
+                        mouseCoords[0] > r.left + dragContainer.dropIndent;
+                    if(!indented) {
+                        return target;
+                    }
+                    // in document order, a nested container comes before the containers nested in it
+                    var child = _.find(documentOrder(self.containers), function(c) {
+                        return prev[0].contains(c.elem[0]) && c.dropAllowed && !_inSubtree(c);
                     });
-                    angular.element($document[0].body).append(_dragElem);
+                    return child ? {container: child, before: [null], model: target.model} : target;
+                };
 
-                    // We have the clone appended to the body; now create a ghost element and insert it in the dom, right
-                    // before the current dragElem
-                    _ghost = _createGhost(_dragElement.elem);
-                    _ghostContainer = dragContainer;
+                // The other way around, moves the target of the ghost out of a nested container when it is at its end
+                // and the pointer is no more than dropIndent px to the right of the element the container is nested in:
+                // the ghost goes right after that element. This is repeated for every level the pointer is left of.
+                var _outdentTarget = function(target, mouseCoords) {
+                    while(!target.before[0]) {
+                        var node = target.container.elem[0].parentNode;
+                        var parent = angular.element(node && node.closest ? node.closest(".drag-element") : null);
+                        var outer = parent[0] ? innermost(_.filter(self.containers, function(c) {
+                            return c.elem[0].contains(parent[0]);
+                        })) : null;
+                        if(!outer || !outer.dropIndent || outer.horizontal || !outer.dropAllowed || _inSubtree(outer)) {
+                            return target;
+                        }
+                        var r = rect(parent);
+                        var indented = _rtl(outer) ?
+                            mouseCoords[0] < r.left + r.width - outer.dropIndent :
+                            mouseCoords[0] > r.left + outer.dropIndent;
+                        if(indented) {
+                            return target;
+                        }
+                        target = {container: outer, before: nextDragElement(parent), model: target.model};
+                    }
+                    return target;
+                };
 
-                    // Now we can safely remove the drag element from the drag container
-                    _removeElemFromContainer(dragContainer, _dragElement);
+                // Finds where the ghost goes while the pointer is at mouseCoords in dragContainer: the container (which
+                // may be nested in dragContainer or contain it, see _indentTarget and _outdentTarget), the element it
+                // goes before ([null] for the end), and the element it gets the size of.
+                var _ghostTarget = function(dragContainer, mouseCoords) {
+                    var elements = _elementsOf(dragContainer);
+                    var before = [null];
+                    var model = _dragElement ? _dragElement.elem : null;
+                    if(dragContainer.layout === "grid") {
+                        _measureGrid(elements);
+                        before = _gridElemAfterGhost(elements, mouseCoords, _rtl(dragContainer));
+                    } else if(elements.length) {
+                        // The ghost goes before or after the element with the smallest distance to the pointer,
+                        // depending on which half of it the pointer is in. We need the horizontal option, since we
+                        // want to know whether we have to look at either the x or the y dimension. Rows of right to
+                        // left containers start at the right, so there the elements after an element are left of it.
+                        var closestElt = _.minBy(elements, function(el) {
+                            return distance(_rectOf(el), mouseCoords);
+                        });
+                        var r = _rectOf(closestElt);
+                        var after = dragContainer.horizontal ?
+                            mouseCoords[0] >= r.left + r.width / 2 !== _rtl(dragContainer) :
+                            mouseCoords[1] >= r.top + r.height / 2;
+                        before = after ? nextDragElement(closestElt.elem) : closestElt.elem;
+                        model = closestElt.elem;
+                    }
+                    var target = {container: dragContainer, before: before, model: model};
+                    return _indentTarget(_outdentTarget(target, mouseCoords), mouseCoords);
+                };
 
-                    _dragging = true;
+                // Moves the ghost to target (see _ghostTarget), unless it is there already. The ghost is only created
+                // again when it goes to another container, since it may look different there.
+                var _placeGhost = function(target) {
+                    if(_ghostFor === target.container && _ghost[0].parentNode === target.container.elem[0] &&
+                        nextDragElement(_ghost)[0] === target.before[0]) {
+                        return;
+                    }
+                    // the siblings of the ghost slide to their new place, see flip
+                    var measured = measure([_ghostContainer, target.container]);
+                    if(_ghostFor !== target.container) {
+                        _ghost[0].remove();
+                        _ghost = _createGhost(target.model, target.container);
+                        _ghostFor = target.container;
+                    }
+                    // Note: When before turns out to be [null], insertBefore will just insert at the end
+                    target.container.elem[0].insertBefore(_ghost[0], target.before[0]);
+                    _ghostContainer = target.container;
+                    _layoutChanged();
+                    _settled = Math.max(_settled, Date.now() + flip(measured));
+                    _validateGhost(_ghostContainer, _dropIndex(_ghostContainer));
                 };
 
-                self.drag = function(mouseCoords) {
-                    if(!_dragging) return;
-                    // Replace dragged element according to mouse cursor
-                    _dragElem.css({
-                        left: mouseCoords[0] + _mousePos[0] + "px",
-                        top: mouseCoords[1] + _mousePos[1] + "px"
+                // The container with the element data in it
+                var _containerOf = function(elementData) {
+                    return _.find(self.containers, function(c) {
+                        return _.includes(c.data, elementData);
                     });
+                };
 
-                    // See if there is a container on the current mouse position
-                    var hoverContainer = _.find(self.containers, function(c) {
-                        return contains(c.elem, mouseCoords);
+                // Elements of other types (in containers that accept this type) are only here for the layout; they have
+                // their own selection
+                var _ownElement = function(dragElement) {
+                    return !dragElement.type || dragElement.type === _type;
+                };
+
+                var _updateSelectionClasses = function() {
+                    _.forEach(_.filter(self.elements, _ownElement), function(el) {
+                        el.elem.toggleClass("drag-selected", _.includes(_selection, el.data));
                     });
+                };
 
-                    if(hoverContainer) {
-                        if(!hoverContainer.dropAllowed) {
-                            _dragElem.css("cursor", "no-drop");
-                            return;
-                        }
-                        _dragElem.css("cursor", "move");
-                        // The mouse is currently on a container.
-                        _ghostContainer = hoverContainer;
-                        // Get the element in this container with the smallest distance to the mouse
-                        var closestElt = _(self.elements).filter(function(el) {
-                            // only include elements inside the mouseover container
-                            return hoverContainer.elem[0].contains(el.elem[0]);
-                        }).minBy(function(elt) {
-                            // return container with minimum distance
-                            return distance(elt.elem, mouseCoords);
+                // emits elementsMoved (or elementsCopied) when several selected elements were dragged together
+                var _emitGroupMoved = function(drop, toIndex, elementsData) {
+                    var items = _.map(drop.group, function(item, i) {
+                        return {
+                            elementData: elementsData[i],
+                            fromContainerData: item.container.data,
+                            fromContainerIndex: item.index,
+                            fromParents: item.parents,
+                            toContainerData: drop.target.data,
+                            toContainerIndex: toIndex + i,
+                            toParents: drop.targetParents
+                        };
+                    });
+                    var changed = _.some(items, function(item) {
+                        return item.fromContainerData !== item.toContainerData ||
+                            item.fromContainerIndex !== item.toContainerIndex;
+                    });
+                    if(drop.copy || changed) {
+                        $rootScope.$emit(drop.copy ? "dragdrop:elementsCopied" : "dragdrop:elementsMoved", {
+                            type: _type,
+                            items: items
                         });
-
-                        var elemAfterGhost = null;
-                        if(_.isObject(closestElt)) {
-                            // We have to determine whether we have to place the ghost before or after the closest elt.
-                            _ghost[0].remove();
-                            _ghost = _createGhost(closestElt.elem);
-
-
-                            // Either way, we will need the bounding rect of the closest elt
-                            var r = rect(closestElt.elem);
-
-                            // We need the horizontal option, since we want to know whether we have to look at
-                            // either the x or the y dimension.
-                            var midway;
-                            if(hoverContainer.horizontal) {
-                                // check x dimension
-                                midway = r.left + r.width / 2;
-                                elemAfterGhost = mouseCoords[0] < midway ?
-                                    closestElt.elem :
-                                    nextDragElement(closestElt.elem);
-                            } else {
-                                // check y dimension
-                                midway = r.top + r.height / 2;
-                                elemAfterGhost = mouseCoords[1] < midway ?
-                                    closestElt.elem :
-                                    nextDragElement(closestElt.elem);
-                            }
-                            // Use insertbefore to insert the ghost at the appropriate position.
-                            // Note: When elemAfterGhost turns out to be null (can be the case when nextSibling returned
-                            //       null), insertBefore will just insert at the end
-                            hoverContainer.elem[0].insertBefore(_ghost[0], elemAfterGhost[0]);
-                        } else {
-                            hoverContainer.elem.append(_ghost);
-                        }
-                    } else {
-                        _dragElem.css("cursor", "no-drop");
                     }
                 };
 
-                self.end = function() {
-                    if(!_dragging) return;
-                    _dragElem.remove();
-                    var i = _getElementIndex(_ghostContainer, _ghost);
-                    _addElemToContainer(_ghostContainer, _dragElement, i);
+                // emits elementMoved if something changed during this drag, or elementCopied for a copy
+                var _emitMoved = function(drop, toIndex, elementData) {
+                    if(drop.copy || drop.source !== drop.target || drop.sourceIndex !== toIndex) {
+                        $rootScope.$emit(drop.copy ? "dragdrop:elementCopied" : "dragdrop:elementMoved", {
+                            type: _type,
+                            elementData: elementData,
+                            fromContainerData: drop.source.data,
+                            fromContainerIndex: drop.sourceIndex,
+                            fromParents: drop.group[0].parents,
+                            toContainerData: drop.target.data,
+                            toContainerIndex: toIndex,
+                            toParents: drop.targetParents
+                        });
+                    }
+                };
 
-                    $timeout(function() {
-                        _removeGhost();
-
-                        // emit event if something changed during this drag
-                        if(_sourceContainer !== _ghostContainer || _sourceContainerIndex !== i) {
-                            $rootScope.$emit("dragdrop:elementMoved", {
-                                type: _type,
-                                elementData: _dragElement.data,
-                                fromContainerData: _sourceContainer.data,
-                                fromContainerIndex: _sourceContainerIndex,
-                                toContainerData: _ghostContainer.data,
-                                toContainerIndex: i
+                // Asks the global and the container's drop validators whether the dragged elements (items of a group)
+                // may be dropped in dragContainer, starting at index. Returns a promise of the element data to insert
+                // for each item, which is rejected when the drop is not allowed, or null when there are no validators.
+                var _validate = function(group, dragContainer, index) {
+                    var validators = _.compact([dragdropConfig.dropValidate, dragContainer.dropValidate]);
+                    if(!validators.length) {
+                        return null;
+                    }
+                    return $q.all(_.map(group, function(item, i) {
+                        var locals = {
+                            elementData: item.data,
+                            fromContainerData: item.container.data,
+                            toContainerData: dragContainer.data,
+                            toIndex: index + i
+                        };
+                        return $q.all(_.map(validators, function(validator) {
+                            try {
+                                return $q.when(validator(locals));
+                            } catch(e) {
+                                return $q.reject(e);
+                            }
+                        })).then(function(results) {
+                            if(_.includes(results, false)) {
+                                return $q.reject(false);
+                            }
+                            // validators may replace the element data by returning something else than a boolean;
+                            // when both do, the one of the container wins
+                            var replacement = _.findLast(results, function(result) {
+                                return !_.isBoolean(result) && !_.isUndefined(result);
                             });
-                        }
-                    }, 0);
+                            return _.isUndefined(replacement) ? locals.elementData : replacement;
+                        });
+                    }));
+                };
 
-                    _dragging = false;
-                    $rootScope.$emit("dragdrop:dragEnd", {type: _type});
+                // Whether the group rules of the containers allow elements to go from one to the other. Elements can
+                // always be moved within their container.
+                var _groupAllows = function(from, to) {
+                    var send = from.group.send;
+                    var receive = to.group.receive;
+                    return from === to ||
+                        (send === true || _.includes(send, to.group.name)) &&
+                        (receive === true || _.includes(receive, from.group.name));
                 };
-            }
 
-            Drag.mouse = function(event) {
-                if(!("pageX" in event) || !("pageY" in event)) {
-                    return docRelPos([event.clientX, event.clientY]);
-                }
-                return [event.pageX, event.pageY];
-            };
+                // Whether the dragged elements don't fit in dragContainer anymore, because of its maxItems
+                var _full = function(dragContainer) {
+                    return _.isNumber(dragContainer.maxItems) &&
+                        dragContainer.data.length + _group.length > dragContainer.maxItems;
+                };
 
-            Drag.Container = function(elem, data, horizontal, dropAllowed) {
-                this.elem = elem;
-                this.data = data;
-                this.horizontal = _.isBoolean(horizontal) ? horizontal : dragdropConfig.horizontal;
-                this.dropAllowed = _.isBoolean(dropAllowed) ? dropAllowed : dragdropConfig.dropAllowed;
-            };
+                // Whether a drop in a full container swaps: the element next to the drop position then goes to where
+                // the dragged element came from. That only works for a single element that is moved.
+                var _swaps = function(dragContainer) {
+                    return _full(dragContainer) && dragContainer.swapOnFull && _group.length === 1 && !_copy &&
+                        !_keyboard && _sourceContainer !== dragContainer;
+                };
 
-            Drag.Element = function(elem, data) {
-                this.elem = elem;
-                this.data = data;
+                // The rule of dragContainer that blocks dropping the dragged elements in it ("maxItems" or "group"), or
+                // null when they may go there
+                var _rejection = function(dragContainer) {
+                    var rule = null;
+                    if(!_.every(_group, function(item) {
+                        return _groupAllows(item.container, dragContainer);
+                    })) {
+                        rule = "group";
+                    } else if(_full(dragContainer) && !_swaps(dragContainer)) {
+                        rule = "maxItems";
+                    }
+                    return rule;
+                };
+
+                // Marks whether the pointer is on a container whose rules block the drop; see _rejection
+                var _reject = function(dragContainer, rule) {
+                    _rejected = rule ? {container: dragContainer, rule: rule} : null;
+                };
+
+                var _emitRejected = function(rejected) {
+                    $rootScope.$emit("dragdrop:dropRejected", {
+                        type: _type,
+                        rule: rejected.rule,
+                        elementData: _sourceData,
+                        elementsData: _.map(_group, "data"),
+                        fromContainerData: _sourceContainer.data,
+                        toContainerData: rejected.container.data
+                    });
+                };
+
+                // Validates the current ghost position, unless it was already validated. While hovering, the result
+                // only determines the no-drop feedback; on drop, the same promise is used to finish the drop.
+                var _validateGhost = function(dragContainer, index) {
+                    if(_validation && _validation.container === dragContainer && _validation.index === index) {
+                        return;
+                    }
+                    var validation = _validation = {
+                        container: dragContainer,
+                        index: index,
+                        allowed: true, // optimistic while the validators did not answer yet
+                        result: _validate(_group, dragContainer, index)
+                    };
+                    validation.result && validation.result.catch(function() {
+                        validation.allowed = false;
+                        _validation === validation && _showValidation();
+                    });
+                };
+
+                var _showValidation = function() {
+                    var allowed = !_validation || _validation.allowed;
+                    if(_scripted) {
+                        _hover(_ghostContainer, allowed);
+                        return;
+                    }
+                    _dragElem.css("cursor", !allowed ? "no-drop" : _copy ? "copy" : "move");
+                    _ghost.toggleClass("drag-rejected", !allowed);
+                    _hover(_ghostContainer, allowed);
+                };
+
+                // Finishes a drop by putting the data of the dragged elements in the target container, starting at
+                // index. When drop validators are configured this waits for their verdict, while the ghost stays in
+                // place as a placeholder. The element data they resolve with is inserted, and when they reject, the
+                // elements are rolled back to their source containers instead.
+                var _drop = function(drop, index, validation) {
+                    if(!validation) {
+                        validation = {
+                            then: function(resolve) { resolve(_.map(drop.group, "data")); } // finish synchronously
+                        };
+                    } else {
+                        drop.ghost && drop.ghost.addClass("drag-pending");
+                    }
+                    validation.then(function(elementsData) {
+                        elementsData = _.map(elementsData, function(elementData, i) {
+                            var item = drop.group[i];
+                            // a copy is made of the element itself, not of the data a validator replaced it with
+                            return drop.copy && elementData === item.data ?
+                                item.container.cloneData(elementData) :
+                                elementData;
+                        });
+                        _.forEach(elementsData, function(elementData, i) {
+                            drop.target.data.splice(index + i, 0, elementData);
+                        });
+                        drop.swapped = drop.swap ? _swap(drop, index) : null;
+                        // when the element before the dropped one went out, the dropped one moved up
+                        drop.swapped && drop.swapped.fromContainerIndex < index && index--;
+                        apply();
+                        _dropped(drop, index, elementsData);
+                    }, function() {
+                        // with a copy, the elements never left their source containers
+                        drop.copy || _restoreGroup(drop.group);
+                        drop.keyboard && dragAnnouncer(message("rejected", drop.source, drop.sourceIndex));
+                        $timeout(function() {
+                            _removeDropGhost(drop);
+                            _emitCancel(drop);
+                        }, 0);
+                    });
+                };
+
+                // Moves the element after the dropped one (or before it, at the end) to where the dropped one came from,
+                // for a drop in a full container with swapOnFull
+                var _swap = function(drop, index) {
+                    var data = drop.target.data;
+                    var from = index + 1 < data.length ? index + 1 : index - 1;
+                    var elementData = data.splice(from, 1)[0];
+                    drop.source.data.splice(drop.sourceIndex, 0, elementData);
+                    return {
+                        elementData: elementData,
+                        // its index before the dropped element came in
+                        fromContainerIndex: from > index ? from - 1 : from
+                    };
+                };
+
+                var _dropped = function(drop, index, elementsData) {
+                    drop.keyboard && dragAnnouncer(message("dropped", drop.target, index));
+                    $timeout(function() {
+                        // the ghost is removed after the element got rendered in its new place, to prevent flickering
+                        _removeDropGhost(drop);
+                        if(drop.group.length > 1) {
+                            _emitGroupMoved(drop, index, elementsData);
+                        } else {
+                            _emitMoved(drop, index, elementsData[0]);
+                        }
+                        drop.swapped && $rootScope.$emit("dragdrop:elementMoved", {
+                            type: _type,
+                            elementData: drop.swapped.elementData,
+                            fromContainerData: drop.target.data,
+                            fromContainerIndex: drop.swapped.fromContainerIndex,
+                            fromParents: drop.targetParents,
+                            toContainerData: drop.source.data,
+                            toContainerIndex: drop.sourceIndex,
+                            toParents: drop.group[0].parents,
+                            swap: true
+                        });
+                    }, 0);
+                };
+
+                // The DOM element of a keyboard dragged element may have been recreated (e.g. by ng-repeat) after it
+                // moved, so we look up its Drag.Element again and give it back the focus.
+                var _focusKeyboardElement = function() {
+                    _dragElement.elem.removeClass("drag-picked-up");
+                    _dragElement = _.find(self.elements, function(el) {
+                        return el.data === _dragElement.data;
+                    }) || _dragElement;
+                    _dragElement.elem.addClass("drag-picked-up");
+                    _subtrees = [_dragElement.elem[0]];
+                    var handle = _dragElement.elem[0].querySelector(".drag-handle") || _dragElement.elem[0];
+                    handle.focus();
+                };
+
+                var _endKeyboard = function() {
+                    _dragElement.elem.removeClass("drag-picked-up");
+                    if(_zone) {
+                        _endKeyboardOnZone();
+                        return;
+                    }
+                    _markEnd();
+                    var drop = angular.extend(_dropState(), {keyboard: true});
+                    // validators get to see the element that was moved around, which is the copy when copying
+                    var validation = _validate([{
+                        data: _dragElement.data,
+                        container: _sourceContainer,
+                        index: _sourceContainerIndex
+                    }], _ghostContainer, _keyboardIndex);
+                    if(validation) {
+                        // the element is already in the target container; take it out again while the validators
+                        // decide, so that they see the same container data as with a pointer drop
+                        _removeElemFromContainer(_ghostContainer, _dragElement.data, _keyboardIndex);
+                        _drop(drop, _keyboardIndex, validation);
+                    } else {
+                        _dropped(drop, _keyboardIndex, [_dragElement.data]);
+                    }
+                    _dragging = false;
+                    _keyboard = false;
+                    _emitDrag("dragEnd");
+                };
+
+                var _cancelKeyboard = function() {
+                    _leaveKeyboardZone();
+                    if(_copy) {
+                        // the element that was moved around is the copy; the original is still at its position
+                        _removeElemFromContainer(_ghostContainer, _dragElement.data, _keyboardIndex);
+                        _dragElement = _.find(self.elements, function(el) {
+                            return el.data === _sourceData;
+                        }) || _dragElement;
+                        _ghostContainer = _sourceContainer;
+                        _keyboardIndex = _sourceContainerIndex;
+                        _focusKeyboardElement();
+                    } else if(_ghostContainer !== _sourceContainer || _keyboardIndex !== _sourceContainerIndex) {
+                        _removeElemFromContainer(_ghostContainer, _dragElement.data, _keyboardIndex);
+                        _addElemToContainer(_sourceContainer, _dragElement.data, _sourceContainerIndex);
+                        _ghostContainer = _sourceContainer;
+                        _keyboardIndex = _sourceContainerIndex;
+                        _focusKeyboardElement();
+                    }
+                    _dragElement.elem.removeClass("drag-picked-up");
+                    _markEnd();
+                    _dragging = false;
+                    _keyboard = false;
+                    dragAnnouncer(message("cancelled", _sourceContainer, _sourceContainerIndex));
+                    _emitCancel(_dropState());
+                    _emitDrag("dragEnd");
+                };
+
+                var _endScripted = function() {
+                    if(_zone) {
+                        var zone = _zone;
+                        _zone = null;
+                        _markEnd();
+                        _dropOnZone(zone, _dropState());
+                        _validation = null;
+                        _dragging = false;
+                        _scripted = false;
+                        _emitDrag("dragEnd");
+                        return;
+                    }
+                    if(_rejected) {
+                        _emitRejected(_rejected);
+                        _cancelScripted();
+                        return;
+                    }
+                    if(!_ghostContainer) {
+                        // the drag never went over a container, so there is nowhere to drop
+                        _cancelScripted();
+                        return;
+                    }
+                    _markEnd();
+                    _validateGhost(_ghostContainer, _scriptedIndex);
+                    _drop(_dropState(), _scriptedIndex, _validation.result);
+                    _validation = null;
+                    _dragging = false;
+                    _scripted = false;
+                    _emitDrag("dragEnd");
+                };
+
+                var _cancelScripted = function() {
+                    _zone = null;
+                    _markEnd();
+                    _copy || _restoreGroup(_group);
+                    _validation = null;
+                    _dragging = false;
+                    _scripted = false;
+                    _emitCancel(_dropState());
+                    _emitDrag("dragEnd");
+                };
+
+                // A container that gets destroyed during a drag (e.g. by ng-if) can't take the drop anymore. When dragged
+                // elements came from it, or a keyboard drag moved the element into it, the drag is cancelled; otherwise
+                // the ghost just leaves it.
+                var _containerGone = function(dragContainer) {
+                    // containers nested in the dragged elements go away with them, which is fine
+                    if(!_dragging || _inSubtree(dragContainer)) return;
+                    _hoverContainer === dragContainer && _hover(null);
+                    _rejected && _rejected.container === dragContainer && _reject(null);
+                    var source = _.some(_group, function(item) {
+                        return item.container === dragContainer;
+                    });
+                    if(source || (_keyboard && _ghostContainer === dragContainer)) {
+                        self.cancel();
+                    } else if(_ghostContainer === dragContainer && _scripted) {
+                        _ghostContainer = null;
+                    } else if(_ghostContainer === dragContainer) {
+                        // the ghost comes back when the pointer moves over a container again
+                        _ghost[0].remove();
+                        _zoneReturn = _zone ? [null, null] : null;
+                        _ghostContainer = _sourceContainer;
+                        _ghostFor = null;
+                        _validation = null;
+                        _layoutChanged();
+                    }
+                };
+
+                // Pointer and scripted drags take the dragged elements out of their containers at the start, but keyboard
+                // drags leave the element in its container. When it gets destroyed there without us taking it out
+                // (e.g. the app deleted its data), the drag ends, and the element isn't put back anywhere.
+                var _elementGone = function(dragElement) {
+                    if(!_keyboard || _removing || _zone || dragElement.data !== _dragElement.data ||
+                        _.includes(_ghostContainer.data, _dragElement.data)) {
+                        return;
+                    }
+                    _markEnd();
+                    _dragging = false;
+                    _keyboard = false;
+                    dragAnnouncer(message("removed", _ghostContainer));
+                    _emitCancel(_dropState());
+                    _emitDrag("dragEnd");
+                };
+
+                // While the pointer is on a drop zone, the ghost is taken out of its container, since a drop there would
+                // not put the elements in a container
+                var _overZone = function(zone) {
+                    if(!_zone) {
+                        var measured = measure([_ghostContainer]);
+                        _zoneReturn = [_ghost[0].parentNode, _ghost[0].nextSibling];
+                        _ghost[0].remove();
+                        _layoutChanged();
+                        _settled = Math.max(_settled, Date.now() + flip(measured));
+                    }
+                    _zone = zone;
+                    _dragElem.css("cursor", _copy ? "copy" : "move");
+                    _hover(zone, true);
+                };
+
+                // Puts the ghost back where it was before the pointer went on a drop zone, in case the pointer now is
+                // on no container
+                var _leaveZone = function() {
+                    if(!_zone) return;
+                    var measured = measure([_ghostContainer]);
+                    var parent = _zoneReturn[0], next = _zoneReturn[1];
+                    parent && parent.insertBefore(_ghost[0], next && next.parentNode === parent ? next : null);
+                    _layoutChanged();
+                    _settled = Math.max(_settled, Date.now() + flip(measured));
+                    _zone = null;
+                    _zoneReturn = null;
+                };
+
+                // A keyboard dragged element is taken out of its container while it is on a drop zone. _ghostContainer
+                // and _keyboardIndex keep where it was, for when it leaves the zone again.
+                var _enterKeyboardZone = function(zone) {
+                    _zone || _removeElemFromContainer(_ghostContainer, _dragElement.data, _keyboardIndex);
+                    _zone = zone;
+                    _hover(zone, true);
+                    zone.elem[0].focus();
+                    dragAnnouncer(message("overZone", zone));
+                };
+
+                var _leaveKeyboardZone = function() {
+                    if(!_zone) return;
+                    _zone = null;
+                    _hover(null);
+                    _addElemToContainer(_ghostContainer, _dragElement.data, _keyboardIndex);
+                    _focusKeyboardElement();
+                };
+
+                var _endKeyboardOnZone = function() {
+                    var zone = _zone;
+                    _zone = null;
+                    _markEnd();
+                    // like with a pointer, the elements dropped on a zone are the originals, also when copying
+                    _dropOnZone(zone, angular.extend(_dropState(), {keyboard: true}));
+                    dragAnnouncer(message("droppedOnZone", zone));
+                    _dragging = false;
+                    _keyboard = false;
+                    _emitDrag("dragEnd");
+                };
+
+                // Drops the dragged elements on a drop zone. Its onDrop function gets called for each of them, and its
+                // effect decides whether they are removed from their containers or put back; with effect "handler" the
+                // value onDrop returns (or the promise it returns resolves with) decides. Copies are never put anywhere,
+                // and their originals stay where they are.
+                var _dropOnZone = function(zone, drop) {
+                    var effects = _.map(drop.group, function(item) {
+                        var effect;
+                        try {
+                            var result = zone.onDrop({
+                                elementData: item.data,
+                                fromContainerData: item.container.data,
+                                fromIndex: item.index,
+                                zoneData: zone.data
+                            });
+                            effect = $q.when(zone.effect === "handler" ? result : zone.effect);
+                        } catch(e) {
+                            effect = $q.reject(e);
+                        }
+                        // an on-drop that fails (or throws) puts the element back
+                        return effect.then(function(effect) {
+                            return effect === "restore" ? "restore" : "remove";
+                        }, function() {
+                            return "restore";
+                        });
+                    });
+                    apply();
+                    $q.all(effects).then(function(effects) {
+                        var restore = _.filter(drop.group, function(item, i) {
+                            return effects[i] === "restore";
+                        });
+                        drop.copy || _restoreGroup(restore);
+                        $rootScope.$emit("dragdrop:zoneDrop", {
+                            type: _type,
+                            zoneData: zone.data,
+                            copy: drop.copy,
+                            items: _.map(drop.group, function(item, i) {
+                                return {
+                                    elementData: item.data,
+                                    fromContainerData: item.container.data,
+                                    fromContainerIndex: item.index,
+                                    effect: effects[i]
+                                };
+                            })
+                        });
+                    });
+                };
+
+                // emits dragStart or dragEnd
+                var _emitDrag = function(name) {
+                    $rootScope.$emit("dragdrop:" + name, {
+                        type: _type,
+                        elementData: _sourceData,
+                        elementsData: _.map(_group, "data"),
+                        fromContainerData: _sourceContainer.data
+                    });
+                };
+
+                var _emitCancel = function(drop) {
+                    $rootScope.$emit("dragdrop:dragCancel", {
+                        type: _type,
+                        elementData: drop.data,
+                        fromContainerData: drop.source.data,
+                        fromContainerIndex: drop.sourceIndex
+                    });
+                };
+
+                // When the dragged element is part of a selection of several elements, all of them are dragged.
+                // Dragging an element outside of the selection clears the selection.
+                var _selectedGroup = function() {
+                    var lead = {
+                        data: _sourceData,
+                        container: _sourceContainer,
+                        index: _sourceContainerIndex,
+                        parents: _parents(_sourceContainer)
+                    };
+                    if(!_.includes(_selection, _sourceData)) {
+                        _selection.length && self.clearSelection();
+                        return [lead];
+                    }
+                    var containers = documentOrder(self.containers);
+                    return _(_selection).reject(function(data) {
+                        // selected elements that can't be dragged stay where they are
+                        var el = _.find(self.elements, function(el) {
+                            return el.data === data;
+                        });
+                        return el && el.disabled();
+                    }).map(function(data) {
+                        var container = _containerOf(data);
+                        return container && {
+                            data: data,
+                            container: container,
+                            index: _.indexOf(container.data, data),
+                            parents: _parents(container)
+                        };
+                    }).compact().sortBy([function(item) {
+                        return _.indexOf(containers, item.container);
+                    }, "index"]).value();
+                };
+
+                // Makes the preview of a drag of several elements look like a stack, with the number of elements
+                var _stackPreview = function(preview, count) {
+                    preview.addClass("drag-stack").css(dragdropConfig.stackStyle || {});
+                    preview.append(angular.element("<span class=\"drag-count\"></span>").text(count)
+                        .css(dragdropConfig.countStyle || {}));
+                };
+
+                // Scrolls while the pointer is near the edge of a scrollable container or of the window, see scrollTarget
+                var _autoScroll = function(hoverContainer) {
+                    _scroll = dragdropConfig.autoScroll ? scrollTarget(_clientCoords, hoverContainer) : null;
+                    if(_scroll && !_scrollFrame) {
+                        _scrollFrame = requestFrame(_scrollStep);
+                    }
+                };
+
+                var _scrollStep = function() {
+                    _scrollFrame = null;
+                    if(!_dragging || !_scroll) return;
+                    if(_scroll.elem) {
+                        _scroll.elem.scrollLeft += _scroll.dx;
+                        _scroll.elem.scrollTop += _scroll.dy;
+                    } else {
+                        $window.scrollBy(_scroll.dx, _scroll.dy);
+                    }
+                    // the content moved under the pointer, so the ghost may have to move as well; this also decides
+                    // whether to keep scrolling
+                    _layoutChanged();
+                    _pointer = _pointer || docRelPos(_clientCoords);
+                    _dragStep();
+                };
+
+                var _stopScrolling = function() {
+                    _scroll = null;
+                    $document[0].removeEventListener("scroll", _onLayout, true);
+                    $window.removeEventListener("resize", _onLayout);
+                };
+
+                // Scrolling by the user (e.g. with the mouse wheel) or resizing the window moves the content under the
+                // pointer as well. While auto scrolling, _scrollStep takes care of that. The frame of the preview is
+                // only measured again when what scrolled contains the parent of the preview, or the window resized.
+                var _onLayout = function(e) {
+                    _layoutChanged();
+                    if(_dragging && !_keyboard && !_scripted &&
+                        (e.type === "resize" || e.target.contains(_dragElem[0].parentNode))) {
+                        _frame = fixedFrame(_dragElem.parent());
+                    }
+                    if(_dragging && !_keyboard && !_scroll) {
+                        self.drag(_pointer || docRelPos(_clientCoords));
+                    }
+                };
+
+                // Processes the latest pointer position, see self.drag
+                var _dragStep = function() {
+                    _dragFrame = null;
+                    if(!_dragging || _keyboard || _scripted || !_pointer) return;
+                    var mouseCoords = _pointer;
+                    _pointer = null;
+                    _moveTo(mouseCoords);
+                };
+
+                var _copyMode = function() {
+                    return _sourceContainer.dragMode === "copy" || Drag.copyKey;
+                };
+
+                // Containers and elements that come and go change the layout, and how the elements are divided over
+                // the containers
+                var _registerLayout = function(arr, obj) {
+                    _indexed = false;
+                    _layoutChanged();
+                    var unregister = register(arr, obj);
+                    return function() {
+                        unregister();
+                        _indexed = false;
+                        _layoutChanged();
+                    };
+                };
+
+                var _addElemToContainer = function(dragContainer, elementData, index) {
+                    dragContainer.data.splice(index, 0, elementData);
+                    apply();
+                };
+
+
+                // public attributes
+                self.containers = [];
+                self.elements = [];
+                self.zones = [];
+
+
+                // public methods
+                self.mouse = Drag.mouse;
+
+                // dragContainer should be instance of Drag.Container
+                self.registerContainer = function(dragContainer) {
+                    var unregister = _registerLayout(self.containers, dragContainer);
+                    return function() {
+                        unregister();
+                        _containerGone(dragContainer);
+                    };
+                };
+
+                // zone should be instance of Drag.Zone
+                self.registerZone = function(zone) {
+                    var unregister = _registerLayout(self.zones, zone);
+                    return function() {
+                        unregister();
+                        if(_dragging && _zone === zone) {
+                            if(_keyboard) {
+                                _leaveKeyboardZone();
+                            } else if(_scripted) {
+                                _zone = null;
+                            } else {
+                                _leaveZone();
+                            }
+                            _hover(null);
+                        }
+                    };
+                };
+
+                // dragElement should be instance of Drag.Element
+                self.registerElement = function(dragElement) {
+                    // elements get recreated when they move to another container, so they may already be selected
+                    _ownElement(dragElement) &&
+                        dragElement.elem.toggleClass("drag-selected", _.includes(_selection, dragElement.data));
+                    var unregister = _registerLayout(self.elements, dragElement);
+                    return function() {
+                        unregister();
+                        _elementGone(dragElement);
+                    };
+                };
+
+                // Changes the selection after a click on dragElement. With how "toggle" the element gets (de)selected,
+                // with "range" all elements between the previously clicked element and this one get selected (if both
+                // are in the same container), and otherwise the selection is cleared. Shift-click ranges start at the
+                // element clicked before without Shift.
+                self.select = function(dragElement, how) {
+                    var data = dragElement.data;
+                    var container = _containerOf(data);
+                    var anchorContainer = _selectionAnchor && _containerOf(_selectionAnchor);
+                    if(how === "range" && container && container === anchorContainer) {
+                        var from = _.indexOf(container.data, _selectionAnchor);
+                        var to = _.indexOf(container.data, data);
+                        _selection = _.union(_selection, container.data.slice(Math.min(from, to), Math.max(from, to) + 1));
+                    } else if(how === "range" || how === "toggle") {
+                        _selection = _.includes(_selection, data) ? _.without(_selection, data) : _selection.concat([data]);
+                        _selectionAnchor = data;
+                    } else {
+                        _selection = [];
+                        _selectionAnchor = data;
+                    }
+                    _updateSelectionClasses();
+                };
+
+                // Returns the data of the selected elements
+                self.selection = function() {
+                    return _selection.slice();
+                };
+
+                self.clearSelection = function() {
+                    _selection = [];
+                    _selectionAnchor = null;
+                    _updateSelectionClasses();
+                };
+
+                self.dragging = function() {
+                    return _dragging;
+                };
+
+                self.keyboard = function() {
+                    return _dragging && _keyboard;
+                };
+
+                self.native = function() {
+                    return _dragging && _native;
+                };
+
+                // Whether a container is laid out right to left; cached until the layout changes
+                self.rtl = function(dragContainer) {
+                    return _rtl(dragContainer);
+                };
+
+                // The number of elements in the first row of a container with drag-layout="grid"
+                self.columns = function(dragContainer) {
+                    var tops = _.map(_elementsOf(dragContainer), function(el) {
+                        return Math.round(rect(el.elem).top);
+                    });
+                    return Math.max(_.filter(tops, function(top) {
+                        return top === _.min(tops);
+                    }).length, 1);
+                };
+
+                // The container the keyboard dragged element is currently in
+                self.keyboardContainer = function() {
+                    return _keyboard ? _ghostContainer : null;
+                };
+
+                self.scripted = function() {
+                    return _dragging && _scripted;
+                };
+
+                // Picks up elementData without a pointer, e.g. in tests; see dragStore.begin. The drag takes the same
+                // steps as a pointer drag: the element leaves its container unless it is copied, which copy decides
+                // (by default the drag-mode of the container). The element doesn't need to be rendered.
+                self.begin = function(elementData, copy) {
+                    var container = _containerOf(elementData);
+                    if(_dragging || !container) return;
+
+                    _sourceContainer = container;
+                    _sourceContainerIndex = _.indexOf(container.data, elementData);
+                    _sourceData = elementData;
+                    _dragElement = _.find(self.elements, function(el) {
+                        return el.data === elementData;
+                    }) || {elem: angular.element(), data: elementData};
+                    _group = [{
+                        data: elementData,
+                        container: container,
+                        index: _sourceContainerIndex,
+                        parents: _parents(container)
+                    }];
+                    _subtrees = _.compact([_dragElement.elem[0]]);
+                    _emitDrag("dragStart");
+                    _copy = _.isBoolean(copy) ? copy : _copyMode();
+                    _ghost = null;
+                    _ghostContainer = null;
+                    _validation = null;
+                    _rejected = null;
+
+                    _dragging = true;
+                    _scripted = true;
+                    _markStart();
+                    _copy || _removeGroup(_group);
+                };
+
+                // Moves a scripted drag over the container with containerData, to index in its data (by default the
+                // end). Like with a pointer, this validates the drop and sets the hover classes of the container.
+                self.over = function(containerData, index) {
+                    var container = _.find(self.containers, function(c) {
+                        return c.data === containerData;
+                    });
+                    if(!self.scripted() || !container || !container.dropAllowed || _inSubtree(container)) return;
+                    _zone = null;
+                    _reject(container, _rejection(container));
+                    if(_rejected) {
+                        _hover(container, false);
+                        return;
+                    }
+                    _ghostContainer = container;
+                    _scriptedIndex = _.isNumber(index) ? _.clamp(index, 0, container.data.length) : container.data.length;
+                    _validateGhost(container, _scriptedIndex);
+                    _showValidation();
+                };
+
+                // Moves a scripted drag over the drop zone with zoneData; dropping then drops on the zone
+                self.overZone = function(zoneData) {
+                    var zone = _.find(self.zones, function(z) {
+                        return z.data === zoneData;
+                    });
+                    if(!self.scripted() || !zone) return;
+                    _reject(null);
+                    _zone = zone;
+                    _hover(zone, true);
+                };
+
+                // Processes the last pointer move right away instead of in the next animation frame
+                self.flush = function() {
+                    _dragStep();
+                };
+
+
+                // With native true, the drag is a native HTML5 drag that started with the dragstart event: the browser
+                // shows the dragged element, and reports the pointer with dragover events.
+                self.start = function(startCoordsMouse, dragContainer, dragElement, native) {
+                    if(_dragging) return;
+
+                    // start with setting some source info
+                    _sourceContainer = dragContainer;
+                    _sourceContainerIndex = _modelIndex(_sourceContainer, dragElement);
+
+                    _dragElement = dragElement;
+                    _sourceData = dragElement.data;
+                    _copy = _copyMode();
+                    _group = _selectedGroup();
+                    _subtrees = _(_group).map(function(item) {
+                        return _.find(self.elements, function(el) {
+                            return el.data === item.data;
+                        });
+                    }).compact().map(function(el) {
+                        return el.elem[0];
+                    }).value();
+                    _emitDrag("dragStart");
+
+                    var boundary = _boundaryOf(dragContainer);
+                    _boundary = boundary && {elem: angular.element(boundary), rect: null};
+                    _startCoords = startCoordsMouse;
+                    var r = rect(_dragElement.elem);
+                    var offset = dragdropConfig.previewOffset;
+                    _mousePos = [r.left - startCoordsMouse[0] + offset[0], r.top - startCoordsMouse[1] + offset[1]];
+                    _dragSize = [r.width, r.height];
+                    _clientCoords = clientPos(startCoordsMouse);
+                    var parent = _previewParent(dragContainer, dragElement.data);
+                    _frame = fixedFrame(parent);
+                    _dragElem = _createPreview();
+                    // the clone has a fixed position, so it is positioned relative to the viewport (or to a
+                    // transformed ancestor, see fixedFrame)
+                    _dragElem.css(angular.extend({
+                        position: "fixed",
+                        "z-index": 9999,
+                        opacity: dragdropConfig.previewOpacity
+                    }, framePos(_frame, [_clientCoords[0] + _mousePos[0], _clientCoords[1] + _mousePos[1]])));
+                    if(_group.length > 1) {
+                        _stackPreview(_dragElem, _group.length);
+                    }
+                    _native = !!native;
+                    _native && _dragElem.css("display", "none");
+                    _zone = null;
+                    _rejected = null;
+                    parent.append(_dragElem);
+
+                    // We have the clone appended to the body; now create a ghost element and insert it in the dom, right
+                    // before the current dragElem
+                    _ghost = _createGhost(_dragElement.elem);
+                    _ghostContainer = dragContainer;
+                    _ghostFor = null; // it has no size yet, so it gets created again when it is placed
+                    _markStart();
+
+                    // Now we can safely remove the dragged elements from their containers; when copying they stay.
+                    // Browsers stop a native drag when its element leaves the document during dragstart, so then
+                    // this waits until dragstart is over.
+                    if(!_copy && _native) {
+                        _removal = $timeout(handler(function() {
+                            _removal = null;
+                            _removeGroup(_group);
+                        }), 0, false);
+                    } else if(!_copy) {
+                        _removeGroup(_group);
+                    }
+
+                    // the layout may have changed since the last drag (e.g. by its drop), and elements may have been reordered
+                    _layoutChanged();
+                    _indexed = false;
+                    _pointer = null;
+                    $document[0].addEventListener("scroll", _onLayout, true);
+                    $window.addEventListener("resize", _onLayout);
+                    _dragging = true;
+                };
+
+                // Pointer moves often come in faster than the screen refreshes, so they are processed at most once per
+                // animation frame, with the latest position
+                self.drag = function(mouseCoords) {
+                    if(!_dragging) return;
+                    _pointer = mouseCoords;
+                    _dragFrame = _dragFrame || requestFrame(_dragStep);
+                };
+
+                // Keeps the pointer on the axis of the source container when it has axisLock, and the preview within the
+                // boundary of the source container. The drop position follows the constrained pointer.
+                var _constrain = function(mouseCoords) {
+                    var coords = mouseCoords.slice();
+                    if(_sourceContainer.axisLock) {
+                        var fixed = _sourceContainer.horizontal ? 1 : 0;
+                        coords[fixed] = _startCoords[fixed];
+                    }
+                    if(_boundary) {
+                        // the preview is at coords + _mousePos
+                        var b = _rectOf(_boundary);
+                        var min = [b.left - _mousePos[0], b.top - _mousePos[1]];
+                        coords[0] = _.clamp(coords[0], min[0], min[0] + b.width - _dragSize[0]);
+                        coords[1] = _.clamp(coords[1], min[1], min[1] + b.height - _dragSize[1]);
+                    }
+                    return coords;
+                };
+
+                // The element the preview is confined to: the container itself for boundary "container", otherwise the
+                // closest ancestor of the container (or else any element) that matches boundary as a CSS selector
+                var _boundaryOf = function(dragContainer) {
+                    var boundary = dragContainer.boundary;
+                    var elem = dragContainer.elem[0];
+                    if(!boundary) {
+                        return null;
+                    }
+                    if(boundary === "container") {
+                        return elem;
+                    }
+                    return (elem.parentNode.closest && elem.parentNode.closest(boundary)) ||
+                        $document[0].querySelector(boundary);
+                };
+
+                // The element the preview is appended to: the body, unless the previewParent option of the container
+                // (or of dragdropConfig) says otherwise. That is an element, a CSS selector of the closest ancestor of
+                // the container (or else any element) to use, or a function(elementData) returning either; elementData
+                // is the data of the dragged element.
+                var _previewParent = function(dragContainer, elementData) {
+                    var parent = dragContainer.previewParent || dragdropConfig.previewParent;
+                    var elem = dragContainer.elem[0];
+                    if(_.isFunction(parent)) {
+                        parent = parent(elementData);
+                    }
+                    if(_.isString(parent)) {
+                        parent = (elem.parentNode.closest && elem.parentNode.closest(parent)) ||
+                            $document[0].querySelector(parent);
+                    }
+                    return angular.element(parent || $document[0].body);
+                };
+
+                var _moveTo = function(mouseCoords) {
+                    mouseCoords = _constrain(mouseCoords);
+                    _clientCoords = clientPos(mouseCoords);
+                    // Replace dragged element according to mouse cursor
+                    _dragElem.css(framePos(_frame,
+                        [_clientCoords[0] + _mousePos[0], _clientCoords[1] + _mousePos[1]]));
+
+                    // See if there is a container on the current mouse position
+                    var hoverContainer = innermost(_.filter(self.containers, function(c) {
+                        return !_inSubtree(c) && contains(_rectOf(c), mouseCoords);
+                    }));
+                    _autoScroll(hoverContainer);
+
+                    var zone = _.find(self.zones, function(z) {
+                        return contains(_rectOf(z), mouseCoords);
+                    });
+                    if(zone) {
+                        _overZone(zone);
+                        return;
+                    }
+                    _leaveZone();
+
+                    if(!hoverContainer) {
+                        _dragElem.css("cursor", "no-drop");
+                        _hover(null);
+                    } else if(!hoverContainer.dropAllowed || _rejection(hoverContainer)) {
+                        _dragElem.css("cursor", "no-drop");
+                        _hover(hoverContainer, false);
+                    } else {
+                        _placeGhost(_ghostTarget(hoverContainer, mouseCoords));
+                        _showValidation();
+                    }
+                    // containers without dropAllowed just don't take part; their drops go to the ghost position
+                    _reject(hoverContainer, hoverContainer && hoverContainer.dropAllowed && _rejection(hoverContainer));
+                };
+
+                // Switches between moving and copying when the copy key got pressed or released during a pointer drag.
+                // The original element is put back in (or taken out of) its source container, so that the user sees
+                // what will happen on drop.
+                self.updateMode = function() {
+                    if(!_dragging || _keyboard || _native || _copy === _copyMode()) return;
+                    _copy = !_copy;
+                    if(_copy) {
+                        _restoreGroup(_group);
+                    } else {
+                        _removeGroup(_group);
+                    }
+                    _showValidation();
+                };
+
+                // Picks up an element for dragging it with the keyboard
+                self.startKeyboard = function(dragContainer, dragElement) {
+                    if(_dragging) return;
+
+                    _sourceContainer = dragContainer;
+                    _sourceContainerIndex = _modelIndex(_sourceContainer, dragElement);
+                    _dragElement = dragElement;
+                    _sourceData = dragElement.data;
+                    _ghostContainer = dragContainer;
+                    _keyboardIndex = _sourceContainerIndex;
+                    _copy = _copyMode();
+                    // keyboard drags move a single element, regardless of the selection
+                    _group = [{
+                        data: _sourceData,
+                        container: _sourceContainer,
+                        index: _sourceContainerIndex,
+                        parents: _parents(_sourceContainer)
+                    }];
+                    _subtrees = [_dragElement.elem[0]];
+                    _emitDrag("dragStart");
+
+                    _dragging = true;
+                    _keyboard = true;
+                    if(_copy) {
+                        // when copying, it's a copy that is moved around, starting right after the original
+                        _dragElement = {elem: dragElement.elem, data: dragContainer.cloneData(_sourceData)};
+                        _addElemToContainer(dragContainer, _dragElement.data, ++_keyboardIndex);
+                        _focusKeyboardElement();
+                    }
+                    _dragElement.elem.addClass("drag-picked-up");
+                    _markStart();
+                    dragAnnouncer(message("pickedUp", _ghostContainer, _keyboardIndex));
+                };
+
+                // Moves the element that was picked up with the keyboard. When across is false, the element moves
+                // offset positions within its container. Otherwise, it moves offset containers away, to the same
+                // position if possible. Drop zones count as containers here; from a drop zone, every move is to the
+                // previous or next container.
+                self.moveKeyboard = function(offset, across) {
+                    if(!self.keyboard()) return;
+                    if(_zone) {
+                        across = true;
+                        offset = offset < 0 ? -1 : 1;
+                    }
+                    var container = _ghostContainer;
+                    var index = _keyboardIndex + offset;
+                    if(across) {
+                        var targets = _.filter(documentOrder(self.containers.concat(self.zones)), function(c) {
+                            return c === _ghostContainer || c === _zone || c instanceof Drag.Zone ||
+                                (c.dropAllowed && !_inSubtree(c) && !_rejection(c));
+                        });
+                        container = targets[_.indexOf(targets, _zone || _ghostContainer) + offset];
+                        if(!container) return;
+                        if(container instanceof Drag.Zone) {
+                            _enterKeyboardZone(container);
+                            return;
+                        }
+                        index = Math.min(_keyboardIndex, container.data.length);
+                    } else if(index < 0 || index >= container.data.length) {
+                        if(container.layout !== "grid") {
+                            return;
+                        }
+                        // Grids use all arrow keys within the container. Moving a row up or down past the first or
+                        // last row stops at the first or last element; moving on from there goes to the
+                        // neighbouring container.
+                        var end = offset < 0 ? 0 : container.data.length - 1;
+                        if(_keyboardIndex === end) {
+                            self.moveKeyboard(offset < 0 ? -1 : 1, true);
+                            return;
+                        }
+                        index = end;
+                    }
+
+                    if(_zone) {
+                        _zone = null;
+                        _hover(null);
+                    } else {
+                        _removeElemFromContainer(_ghostContainer, _dragElement.data, _keyboardIndex);
+                    }
+                    _addElemToContainer(container, _dragElement.data, index);
+                    _ghostContainer = container;
+                    _keyboardIndex = index;
+                    _focusKeyboardElement();
+                    dragAnnouncer(message("moved", _ghostContainer, _keyboardIndex));
+                };
+
+                // Drops data from outside the page (e.g. files from the desktop, or text from another application or
+                // window) in dragContainer, at the pointer position mouseCoords. The dropConvert function of the container
+                // turns the DataTransfer into the element data to insert.
+                self.dropExternal = function(dragContainer, dataTransfer, mouseCoords) {
+                    if(_dragging || !dragContainer.dropConvert) return;
+                    _layoutChanged();
+                    _indexed = false;
+                    _subtrees = [];
+                    var target = _ghostTarget(dragContainer, mouseCoords);
+                    var container = target.container;
+                    var before = target.before;
+                    var index = _modelPosition(container,
+                        before[0] ? previousDragElement(before) : lastDragElement(container.elem),
+                        before,
+                        before[0] ? _getElementIndex(container, before) : _elementsOf(container).length);
+                    var converted;
+                    try {
+                        converted = $q.when(dragContainer.dropConvert(externalData(dataTransfer)));
+                    } catch(e) {
+                        converted = $q.reject(e);
+                    }
+                    converted.then(function(result) {
+                        var elementsData = _.compact(_.castArray(result));
+                        if(!elementsData.length) return;
+                        Array.prototype.splice.apply(container.data, [index, 0].concat(elementsData));
+                        apply();
+                        $rootScope.$emit("dragdrop:externalDrop", {
+                            type: _type,
+                            elementsData: elementsData,
+                            toContainerData: container.data,
+                            toContainerIndex: index,
+                            toParents: _parents(container),
+                            dataTransfer: dataTransfer
+                        });
+                    }, function() {
+                        // a conversion that fails (or throws) refuses the drop, like one that returns nothing; nothing
+                        // was changed yet, so there is nothing to clean up
+                    });
+                };
+
+                self.end = function() {
+                    if(!_dragging) return;
+                    if(_keyboard) {
+                        _endKeyboard();
+                        return;
+                    }
+                    if(_scripted) {
+                        _endScripted();
+                        return;
+                    }
+                    // the drop happens where the pointer is now, even if that wasn't processed yet
+                    _dragStep();
+                    if(_zone) {
+                        _endOnZone();
+                        return;
+                    }
+                    if(_rejected) {
+                        // dropping on a container whose rules reject the elements puts them back
+                        _emitRejected(_rejected);
+                        self.cancel();
+                        return;
+                    }
+                    if(!_ghost[0].parentNode) {
+                        // the ghost was never placed in a container, so there is nowhere to drop
+                        self.cancel();
+                        return;
+                    }
+                    _dropPreview();
+                    _stopScrolling();
+                    if(_removal && $timeout.cancel(_removal)) {
+                        _removal = null;
+                        _removeGroup(_group);
+                    }
+                    var i = _dropIndex(_ghostContainer);
+                    _validateGhost(_ghostContainer, i);
+                    _drop(_dropState(), i, _validation.result);
+                    _markEnd();
+
+                    _ghost = null;
+                    _validation = null;
+                    _dragging = false;
+                    _emitDrag("dragEnd");
+                };
+
+                var _endOnZone = function() {
+                    _dragElem.remove();
+                    _stopScrolling();
+                    if(_removal && $timeout.cancel(_removal)) {
+                        _removal = null;
+                        _removeGroup(_group);
+                    }
+                    _dropOnZone(_zone, _dropState());
+                    _removeGhost();
+                    _templateScope && _templateScope.$destroy();
+                    _markEnd();
+
+                    _zone = null;
+                    _validation = null;
+                    _dragging = false;
+                    _emitDrag("dragEnd");
+                };
+
+                // Stops the drag without dropping: the element is put back at its original position
+                self.cancel = function() {
+                    if(!_dragging) return;
+                    if(_keyboard) {
+                        _cancelKeyboard();
+                        return;
+                    }
+                    if(_scripted) {
+                        _cancelScripted();
+                        return;
+                    }
+                    _dragElem.remove();
+                    _stopScrolling();
+                    _pointer = null;
+                    _removeGhost();
+                    _templateScope && _templateScope.$destroy();
+                    _markEnd();
+                    // a native drag may end before its elements were taken out of their containers
+                    var removed = !(_removal && $timeout.cancel(_removal));
+                    _removal = null;
+                    _zone = null;
+                    _copy || !removed || _restoreGroup(_group);
+
+                    _validation = null;
+                    _dragging = false;
+                    _emitCancel(_dropState());
+                    _emitDrag("dragEnd");
+                };
+            }
+
+            // Names of the DOM events that make up a drag. jqLite accepts space separated event names in bind/unbind.
+            Drag.events = $window.PointerEvent ? {
+                start: "pointerdown",
+                move: "pointermove",
+                end: "pointerup",
+                cancel: "pointercancel",
+                leave: "pointerleave"
+            } : {
+                start: "mousedown touchstart",
+                move: "mousemove touchmove",
+                end: "mouseup touchend",
+                cancel: "touchcancel",
+                leave: "mouseleave"
+            };
+
+            // For the DOM event handlers of the directives, and for the services that change data (see apply)
+            Drag.handler = handler;
+            Drag.apply = apply;
+
+            var touchId = null; // identifier of the finger that touch drags follow (Touch Events only), see Drag.primary
+
+            // Returns whether the event was caused by the primary pointer: the left mouse button, or the first finger
+            // on the screen. Events of any additional pointers (e.g. a second finger) should be ignored. With Touch
+            // Events, the touchstart of the first finger tells which finger that is, until the next first finger.
+            Drag.primary = function(event) {
+                event = event.originalEvent || event;
+                if(event.touches) {
+                    if(event.type !== "touchstart") {
+                        return !!_.find(event.changedTouches, {identifier: touchId});
+                    }
+                    if(event.touches.length > 1) {
+                        return false;
+                    }
+                    touchId = event.changedTouches[0].identifier;
+                    return true;
+                }
+                if(event.isPrimary === false) {
+                    return false;
+                }
+                // button is 0 for the left mouse button and for touch contact, -1 on a pointermove without changes
+                return !(event.button > 0);
+            };
+
+            // Whether Ctrl or Alt is pressed, which makes a drag copy instead of move. Kept up to date by the run block.
+            Drag.copyKey = false;
+
+            // Returns whether the event comes from a finger instead of a mouse or pen
+            Drag.touch = function(event) {
+                event = event.originalEvent || event;
+                return !!event.touches || event.pointerType === "touch";
+            };
+
+            Drag.dataTransfer = function(event) {
+                return (event.originalEvent || event).dataTransfer;
+            };
+
+            Drag.mouse = function(event) {
+                event = event.originalEvent || event;
+                if(event.touches) {
+                    // the finger that drags (see Drag.primary), which on touchend is no longer in touches
+                    event = _.find(event.changedTouches, {identifier: touchId}) || event.changedTouches[0];
+                }
+                if(!("pageX" in event) || !("pageY" in event)) {
+                    return docRelPos([event.clientX, event.clientY]);
+                }
+                return [event.pageX, event.pageY];
+            };
+
+            // options contains the optional settings of the container:
+            // - label          [string]   Name of the container in screen reader announcements
+            // - dropValidate   [function] Drop validator of the container, see the drop-validate attribute
+            // - dragMode       [string]   "move" or "copy"; what happens to elements dragged out of this container
+            // - cloneData      [function] Makes the copy of element data when copying, see the drag-clone attribute
+            // - dropIndent     [number]   px to the right of an element that make a drop go into its nested container
+            // - layout         [string]   "list" or "grid"; how the elements are laid out, see drag-layout
+            // - preview        [string]   id of the template for the preview of elements dragged out of this container
+            // - placeholder    [string]   id of the template for the ghost in this container
+            // - animationDuration [number] ms that elements take to slide to their new place; 0 doesn't animate
+            // - animationEasing   [string] CSS easing function of these animations
+            // - modelIndex     [function] Maps the rendered drop position to an index in data, see drag-model-index
+            // - native         [boolean]  Whether its elements are dragged with native HTML5 drag and drop
+            // - dropConvert    [function] Turns external drops into element data, see the drop-convert attribute
+            // - axisLock       [boolean]  Whether elements dragged out of it only move along its axis
+            // - boundary       [string]   "container" or a CSS selector; where the preview of its elements stays within
+            // - previewParent  [string|element|function] Where the preview of its elements is appended, see drag-preview-parent
+            // - maxItems       [number]   Maximum number of elements in the container
+            // - swapOnFull     [boolean]  Whether a drop in the full container swaps elements, see the swap-on-full attribute
+            // - group          [string|object] Name of its group, or {name, send, receive}; see the drag-group attribute
+            Drag.Container = function(elem, data, horizontal, dropAllowed, options) {
+                options = options || {};
+                this.elem = elem;
+                this.data = data;
+                this.horizontal = _.isBoolean(horizontal) ? horizontal : dragdropConfig.horizontal;
+                this.dropAllowed = _.isBoolean(dropAllowed) ? dropAllowed : dragdropConfig.dropAllowed;
+                this.label = options.label || elem.attr("aria-label");
+                this.dropValidate = options.dropValidate || null;
+                this.dragMode = options.dragMode || dragdropConfig.dragMode;
+                this.cloneData = options.cloneData || dragdropConfig.cloneData;
+                this.dropIndent = _.isNumber(options.dropIndent) ? options.dropIndent : dragdropConfig.dropIndent;
+                this.layout = options.layout || dragdropConfig.layout;
+                this.preview = options.preview || null;
+                this.placeholder = options.placeholder || null;
+                this.animationDuration = _.isNumber(options.animationDuration) ? options.animationDuration : null;
+                this.animationEasing = options.animationEasing || null;
+                this.modelIndex = options.modelIndex || dragdropConfig.modelIndex;
+                this.native = _.isBoolean(options.native) ? options.native : dragdropConfig.native;
+                this.dropConvert = options.dropConvert || dragdropConfig.dropConvert;
+                this.axisLock = _.isBoolean(options.axisLock) ? options.axisLock : dragdropConfig.axisLock;
+                this.boundary = options.boundary || dragdropConfig.boundary;
+                this.previewParent = options.previewParent || null;
+                this.maxItems = _.isNumber(options.maxItems) ? options.maxItems : dragdropConfig.maxItems;
+                this.swapOnFull = _.isBoolean(options.swapOnFull) ? options.swapOnFull : dragdropConfig.swapOnFull;
+                var group = _.isString(options.group) ? {name: options.group} : options.group || {};
+                this.group = angular.extend({send: true, receive: true}, dragdropConfig.groups[group.name], group);
+                this.elements = []; // the drag elements in this container, in document order; kept up to date by Drag
+                this.rect = null; // cached by Drag while dragging
+                this.rtl = false; // whether it is laid out right to left; cached by Drag while dragging
+            };
+
+            // options contains the optional settings of the drop zone:
+            // - onDrop         [function] Gets called for each element dropped on the zone, see the on-drop attribute
+            // - effect         [string]   "remove", "restore" or "handler"; see the drop-effect attribute
+            // - label          [string]   Names the zone in keyboard announcements, see the zone-label attribute
+            Drag.Zone = function(elem, data, options) {
+                options = options || {};
+                this.elem = elem;
+                this.data = data;
+                this.onDrop = options.onDrop || _.noop;
+                this.effect = options.effect || "remove";
+                this.label = options.label || elem.attr("aria-label");
+                this.rect = null; // cached by Drag while dragging
+            };
+
+            // scope is the scope the element was created in (e.g. by ng-repeat); templates are compiled against it.
+            // options contains the optional settings of the element:
+            // - type           [string]   Its drag type; it may be in a container of another type that accepts it
+            // - index          [function] Returns the index of data in the data of its container, for when the element
+            //                             data can't be found there by identity
+            // - disabled       [function] Returns whether the element can't be dragged
+            Drag.Element = function(elem, data, scope, options) {
+                options = options || {};
+                this.elem = elem;
+                this.data = data;
+                this.scope = scope || null;
+                this.type = options.type || null;
+                this.index = options.index || _.noop;
+                this.disabled = options.disabled || _.constant(false);
+                this.rect = null; // cached by Drag while dragging
             };
 
             return Drag;
@@ -370,6 +2571,8 @@ angular.module("dragdrop", [])
 
         var dragStore = function(type) {
             if(!arguments.length) {
+                // a drag may also end by itself, e.g. when its container gets destroyed
+                drag = drag && drag.dragging() ? drag : null;
                 return drag; // either null or the active drag object
             }
             var d = dragObjs[type];
@@ -380,150 +2583,921 @@ angular.module("dragdrop", [])
             return d;
         };
 
-        dragStore.start = function(startCoordsMouse, dragContainer, dragElement, type) {
-            if(drag) {
+        dragStore.start = function(startCoordsMouse, dragContainer, dragElement, type, native) {
+            if(dragStore()) {
+                return; // we are already dragging.. silently ignore
+            }
+            drag = dragStore(type);
+            drag.start(startCoordsMouse, dragContainer, dragElement, native);
+        };
+
+        dragStore.startKeyboard = function(dragContainer, dragElement, type) {
+            if(dragStore()) {
                 return; // we are already dragging.. silently ignore
             }
             drag = dragStore(type);
-            drag.start(startCoordsMouse, dragContainer, dragElement);
+            drag.startKeyboard(dragContainer, dragElement);
         };
 
         dragStore.end = function() {
-            if(!drag) {
+            if(!dragStore()) {
                 return; // there is no dragging going on.. silently ignore
             }
             drag.end();
             drag = null;
         };
 
+        dragStore.cancel = function() {
+            if(!dragStore()) {
+                return; // there is no dragging going on.. silently ignore
+            }
+            drag.cancel();
+            drag = null;
+        };
+
+        // Drags without a pointer, for tests and automation. begin picks up elementData, over moves it to index toIndex
+        // in toContainerData (by default its end), overZone moves it over the drop zone with zoneData instead, and drop
+        // (or cancel) ends the drag. move does all of this at once:
+        //
+        //   dragStore.move("card", card, doneCards, 0);
+        //
+        // These drags go through the same drop validation, data changes and events as pointer drags. With copy true
+        // (false), the element is copied (moved) regardless of the drag-mode of its container. Like dragStore.cancel,
+        // they are meant to be called inside a digest (e.g. from an ng-click), or else wrapped in $scope.$apply.
+        dragStore.begin = function(type, elementData, copy) {
+            if(dragStore()) {
+                return; // we are already dragging.. silently ignore
+            }
+            var d = dragStore(type);
+            d.begin(elementData, copy);
+            drag = d.dragging() ? d : null;
+        };
+
+        dragStore.over = function(toContainerData, toIndex) {
+            drag && drag.over(toContainerData, toIndex);
+        };
+
+        dragStore.overZone = function(zoneData) {
+            drag && drag.overZone(zoneData);
+        };
+
+        dragStore.drop = function() {
+            dragStore.end();
+        };
+
+        dragStore.move = function(type, elementData, toContainerData, toIndex, copy) {
+            if(dragStore()) {
+                return; // we are already dragging.. silently ignore
+            }
+            dragStore.begin(type, elementData, copy);
+            dragStore.over(toContainerData, toIndex);
+            dragStore.drop();
+        };
+
         return dragStore;
     }])
 
-    .run(["$document", "dragStore", function($document, dragStore) {
+    // Records the moves, copies and cancels done by dragging, and the removals by drops on drop zones, so that they can
+    // be undone and redone:
+    //
+    //   dragHistory.canUndo() && dragHistory.undo();
+    //
+    // Cancelled drags are recorded as well (see dragHistory.entries), but left all data as it was: undo and redo pass
+    // over them to the entry before or after them. A drop that swapped (see swap-on-full) is a single entry, with
+    // the swapped element as its second item. Set the historyKeys option of dragdropConfig to undo with Ctrl+Z and
+    // redo with Ctrl+Shift+Z (or Ctrl+Y). At most historyLimit entries are kept.
+    .factory("dragHistory", ["$rootScope", "$document", "dragdropConfig", "dragStore", "Drag",
+        function($rootScope, $document, dragdropConfig, dragStore, Drag) {
+        var done = [];
+        var undone = [];
+
+        function add(entry) {
+            done.push(entry);
+            if(done.length > dragdropConfig.historyLimit) {
+                done.shift();
+            }
+            // a cancel changed no data, so what was undone can still be redone
+            entry.action === "cancel" || (undone = []);
+        }
+
+        function record(action) {
+            return function(e, event) {
+                var item = _.pick(event, ["elementData", "fromContainerData", "fromContainerIndex", "toContainerData",
+                    "toContainerIndex"]);
+                if(event.swap && done.length) {
+                    // the element a swap-on-full drop swapped out belongs to the move of the dropped element, which
+                    // was recorded right before it
+                    _.last(done).items.push(item);
+                    return;
+                }
+                add({
+                    type: event.type,
+                    action: action,
+                    items: event.items || [item]
+                });
+            };
+        }
+
+        // A drop on a drop zone is a removal of the elements that the zone didn't put back (copies left all data as it
+        // was); the elements have no toContainer
+        function recordZoneDrop(e, event) {
+            var removed = event.copy ? [] : _.filter(event.items, {effect: "remove"});
+            removed.length && add({
+                type: event.type,
+                action: "remove",
+                items: _.map(removed, function(item) {
+                    return _.omit(item, "effect");
+                })
+            });
+        }
+
+        $rootScope.$on("dragdrop:elementMoved", record("move"));
+        $rootScope.$on("dragdrop:elementsMoved", record("move"));
+        $rootScope.$on("dragdrop:elementCopied", record("copy"));
+        $rootScope.$on("dragdrop:elementsCopied", record("copy"));
+        $rootScope.$on("dragdrop:dragCancel", record("cancel"));
+        $rootScope.$on("dragdrop:zoneDrop", recordZoneDrop);
+
+        function undoable(entry) {
+            return entry.action !== "cancel";
+        }
+
+        // Moves the cancels at the end of from to the end of to
+        function passCancels(from, to) {
+            while(from.length && !undoable(_.last(from))) {
+                to.push(from.pop());
+            }
+        }
+
+        // side is "from" or "to"; the container data of that side of the items. Items are taken out at their index,
+        // since the data may hold equal values (e.g. a copied string); the highest index first, so that the indexes of
+        // the other items in the same container stay right.
+        function takeOut(items, side) {
+            _.forEachRight(_.sortBy(items, side + "ContainerIndex"), function(item) {
+                var data = item[side + "ContainerData"];
+                var index = item[side + "ContainerIndex"];
+                if(data[index] !== item.elementData) {
+                    index = _.indexOf(data, item.elementData); // the data changed since
+                }
+                index >= 0 && data.splice(index, 1);
+            });
+        }
+
+        function putIn(items, side) {
+            // in order of index, so that several items end up at their own index in the same container
+            _.forEach(_.sortBy(items, side + "ContainerIndex"), function(item) {
+                item[side + "ContainerData"].splice(item[side + "ContainerIndex"], 0, item.elementData);
+            });
+        }
+
+        var dragHistory = {};
+
+        dragHistory.canUndo = function() {
+            return _.some(done, undoable) && !dragStore();
+        };
+
+        dragHistory.canRedo = function() {
+            return _.some(undone, undoable) && !dragStore();
+        };
+
+        // Undoes the last move, copy or removal, and returns it (see the dragdrop:undo event)
+        dragHistory.undo = function() {
+            if(!dragHistory.canUndo()) return;
+            passCancels(done, undone);
+            var entry = done.pop();
+            Drag.apply(function() {
+                entry.action === "remove" || takeOut(entry.items, "to");
+                entry.action === "copy" || putIn(entry.items, "from");
+            });
+            undone.push(entry);
+            $rootScope.$emit("dragdrop:undo", entry);
+            return entry;
+        };
+
+        // Redoes the last undone move, copy or removal, and returns it (see the dragdrop:redo event)
+        dragHistory.redo = function() {
+            if(!dragHistory.canRedo()) return;
+            passCancels(undone, done);
+            var entry = undone.pop();
+            Drag.apply(function() {
+                entry.action === "copy" || takeOut(entry.items, "from");
+                entry.action === "remove" || putIn(entry.items, "to");
+            });
+            done.push(entry);
+            passCancels(undone, done);
+            $rootScope.$emit("dragdrop:redo", entry);
+            return entry;
+        };
+
+        // The recorded entries that weren't undone, oldest first: {type, action, items}, with action "move", "copy",
+        // "remove" or "cancel". The items of a cancel are like the dragCancel event, and those of a removal like the
+        // items of zoneDrop: {elementData, fromContainerData, fromContainerIndex}.
+        dragHistory.entries = function() {
+            return done.slice();
+        };
+
+        dragHistory.clear = function() {
+            done = [];
+            undone = [];
+        };
+
+        if(dragdropConfig.historyKeys) {
+            // undoing and redoing is usually done from an ng-click, but may come from a key press as well
+            $document.bind("keydown", Drag.handler(function(e) {
+                var z = e.keyCode === 90;
+                var y = e.keyCode === 89;
+                if(!(e.ctrlKey || e.metaKey) || !(z || y)) return;
+                // form fields have an undo of their own
+                if(/^(input|textarea|select)$/i.test(e.target.nodeName) || e.target.isContentEditable) return;
+                e.preventDefault();
+                if(y || e.shiftKey) {
+                    dragHistory.redo();
+                } else {
+                    dragHistory.undo();
+                }
+            }));
+        }
+
+        return dragHistory;
+    }])
+
+    // Subscribes to the events of some drag types (see the list at the top of this file), so that listeners don't have
+    // to filter on type. Event names go without the dragdrop: prefix:
+    //
+    //   dragEvents("card").on("elementMoved", function(event) { ... }, $scope);
+    //
+    // type may also be an array of types. Listeners are called inside a digest. on returns a function that deregisters
+    // the listener; passing a scope deregisters it when the scope is destroyed.
+    .factory("dragEvents", ["$rootScope", "Drag", function($rootScope, Drag) {
+        // Listeners by event name. Each event is listened to once on the root scope, so that the listeners of its type
+        // all get called in the same digest, however many there are (e.g. one for each drag element).
+        var listeners = {};
+
+        function listen(name) {
+            listeners[name] = [];
+            $rootScope.$on("dragdrop:" + name, function(e, event) {
+                var matching = _.filter(listeners[name], function(l) {
+                    return _.includes(l.types, event.type);
+                });
+                matching.length && Drag.apply(function() {
+                    _.forEach(matching, function(l) {
+                        l.listener(event);
+                    });
+                });
+            });
+        }
+
+        return function(type) {
+            var types = _.castArray(type);
+
+            function on(name, listener, scope) {
+                listeners[name] || listen(name);
+                var l = {types: types, listener: listener};
+                listeners[name].push(l);
+                var off = function() {
+                    _.pull(listeners[name], l);
+                };
+                scope && scope.$on("$destroy", off);
+                return off;
+            }
+
+            // Calls listener for every element that got moved or copied, also when several were dragged together. It
+            // gets an event like elementMoved, with copy set for copies.
+            function onMove(listener, scope) {
+                var offs = _.map(["elementMoved", "elementsMoved", "elementCopied", "elementsCopied"], function(name) {
+                    return on(name, function(event) {
+                        _.forEach(event.items || [event], function(item) {
+                            listener(angular.extend({copy: /Copied$/.test(name)}, item, {type: event.type}));
+                        });
+                    }, scope);
+                });
+                return function() {
+                    _.forEach(offs, function(off) {
+                        off();
+                    });
+                };
+            }
+
+            return {
+                on: on,
+                onMove: onMove
+            };
+        };
+    }])
+
+    // dragHistory is injected here, so that it records from the start
+    .run(["$document", "$window", "dragStore", "Drag", "dragHistory", function($document, $window, dragStore, Drag) {
         function mouseMove(e) {
             var drag = dragStore();
-            drag && drag.drag(drag.mouse(e));
-
+            drag && Drag.primary(e) && drag.drag(drag.mouse(e));
         }
 
         function mouseUp(e) {
-            if(e.button !== 0) return;
+            if(!dragStore() || !Drag.primary(e)) return;
+            e.preventDefault();
+            dragStore.end();
+        }
+
+        function pointerCancel(e) {
+            // The browser took over the pointer (e.g. to scroll or zoom), so we will not get to know where it ends. This
+            // also happens when a native drag starts, which reports the pointer with dragover instead.
+            var drag = dragStore();
+            drag && !drag.native() && Drag.primary(e) && dragStore.cancel();
+        }
+
+        // Native drags (see drag-native) can be dropped anywhere in the page; like with other drags, the drop goes
+        // where the ghost is
+        function dragOver(e) {
+            var drag = dragStore();
+            if(!drag || !drag.native()) return;
             e.preventDefault();
+            drag.drag(Drag.mouse(e));
+        }
+
+        function drop(e) {
+            var drag = dragStore();
+            if(!drag || !drag.native()) return;
+            e.preventDefault(); // otherwise some browsers open dropped links and text
             dragStore.end();
         }
 
-        $document.bind("mousemove", mouseMove);
-        $document.bind("mouseup", mouseUp);
+        // Browsers scroll the page when a finger moves, unless touchmove is prevented. Document level touch listeners
+        // are passive by default in some browsers, so this one has to be added without jqLite.
+        function touchMove(e) {
+            dragStore() && e.preventDefault();
+        }
+
+        // While an element is picked up with the keyboard, keys are handled here regardless of which element has focus
+        function keyDown(e) {
+            var drag = dragStore();
+            if(drag && e.keyCode === 27) {
+                // escape cancels any drag, also one with the mouse or a finger
+                e.preventDefault();
+                dragStore.cancel();
+                return;
+            }
+            if(!drag || !drag.keyboard()) return;
+            var container = drag.keyboardContainer();
+            var vertical = !container.horizontal;
+            switch(e.keyCode) {
+                case 37: // left
+                case 38: // up
+                case 39: // right
+                case 40: // down
+                    var offset = e.keyCode === 37 || e.keyCode === 38 ? -1 : 1;
+                    if(e.keyCode !== 38 && e.keyCode !== 40 && drag.rtl(container)) {
+                        // in right to left layouts the next element (and container) is on the left
+                        offset = -offset;
+                    }
+                    var upDown = e.keyCode === 38 || e.keyCode === 40;
+                    if(container.layout === "grid") {
+                        // up and down move a whole row
+                        drag.moveKeyboard(upDown ? offset * drag.columns(container) : offset, false);
+                    } else {
+                        drag.moveKeyboard(offset, upDown !== vertical);
+                    }
+                    break;
+                case 13: // enter
+                case 32: // space
+                    dragStore.end();
+                    break;
+                case 9: // tab; leaving the element while it is picked up drops it
+                    dragStore.end();
+                    return;
+                default:
+                    return;
+            }
+            e.preventDefault();
+        }
+
+        // When the window loses focus (e.g. by alt-tab) we won't get to see the mouse being released
+        function blur() {
+            dragStore.cancel();
+        }
+
+        // Ctrl or Alt makes a drag copy instead of move. These listeners capture, so that they also see the events the
+        // drag-handle stops, and know the state of the keys before the handle starts a drag.
+        function modifierKeys(e) {
+            var copyKey = !!(e.ctrlKey || e.altKey);
+            if(copyKey === Drag.copyKey) return;
+            Drag.copyKey = copyKey;
+            var drag = dragStore();
+            drag && drag.updateMode();
+        }
+
+        _.forEach(["keydown", "keyup"].concat(Drag.events.start.split(" "), Drag.events.move.split(" ")), function(type) {
+            $document[0].addEventListener(type, Drag.handler(modifierKeys), true);
+        });
+
+        $document.bind("keydown", Drag.handler(keyDown));
+        angular.element($window).bind("blur", Drag.handler(blur));
+        $document.bind(Drag.events.move, Drag.handler(mouseMove));
+        $document.bind(Drag.events.end, Drag.handler(mouseUp));
+        $document.bind(Drag.events.cancel, Drag.handler(pointerCancel));
+        $document.bind("dragover", Drag.handler(dragOver));
+        $document.bind("drop", Drag.handler(drop));
+        $document[0].addEventListener("touchmove", touchMove, {passive: false});
     }])
 
     // When a drag element is dropped in a dragContainer, the element will be placed in this container.
-    .directive("dragContainer", ["dragStore", "Drag", function(dragStore, Drag) {
+    .directive("dragContainer", ["dragStore", "Drag", "dragdropConfig", "dragEvents",
+        function(dragStore, Drag, dragdropConfig, dragEvents) {
         return {
             scope: {
                 type: "@dragContainer",
                 data: "=containerData",
                 horizontal: "=?dragHorizontal",
-                dropAllowed: "=?"
+                dropAllowed: "=?",
+                label: "@?containerLabel",
+                dropValidate: "&?",
+                dragMode: "@?",
+                dragClone: "&?",
+                dropIndent: "=?",
+                layout: "@?dragLayout",
+                preview: "@?dragPreview",
+                placeholder: "@?dragPlaceholder",
+                modelIndex: "&?dragModelIndex",
+                animationDuration: "=?dragAnimationDuration",
+                animationEasing: "@?dragAnimationEasing",
+                native: "=?dragNative",
+                dropConvert: "&?",
+                axisLock: "=?dragAxisLock",
+                boundary: "@?dragBoundary",
+                previewParent: "@?dragPreviewParent",
+                accepts: "=?dragAccepts",
+                maxItems: "=?",
+                swapOnFull: "=?",
+                group: "=?dragGroup",
+                dragThreshold: "=?",
+                dragDelay: "=?",
+                onDragStart: "&?",
+                onDragEnd: "&?",
+                onMove: "&?"
             },
             controller: function($scope) {
-                this.startDrag = function(startCoordsMouse, dragElt) {
-                    $scope.startDrag && $scope.startDrag(startCoordsMouse, dragElt);
+                this.startDrag = function(startCoordsMouse, dragElt, native) {
+                    $scope.startDrag && $scope.startDrag(startCoordsMouse, dragElt, native);
+                };
+
+                // the drag elements may link before the container does, so they can't ask the Drag.Container
+                this.native = function() {
+                    return _.isBoolean($scope.native) ? $scope.native : dragdropConfig.native;
+                };
+
+                // drag-threshold or drag-delay (name is "dragThreshold" or "dragDelay") of the container, for the
+                // drag-handles of its elements
+                this.handleOption = function(name) {
+                    return $scope[name];
+                };
+
+                this.startKeyboardDrag = function(dragElt) {
+                    $scope.startKeyboardDrag && $scope.startKeyboardDrag(dragElt);
+                };
+
+                // The drag types of the elements that may be dropped in the container
+                this.types = function() {
+                    return _.union([$scope.type], $scope.accepts);
                 };
             },
             link: function(scope, elem) {
                 var drag = dragStore(scope.type);
-                var dragContainer = new Drag.Container(elem, scope.data, scope.horizontal, scope.dropAllowed);
-                var unregister = drag.registerContainer(dragContainer);
+                var dragContainer = new Drag.Container(elem, scope.data, scope.horizontal, scope.dropAllowed, {
+                    label: scope.label,
+                    dropValidate: scope.dropValidate,
+                    dragMode: scope.dragMode,
+                    dropIndent: scope.dropIndent,
+                    layout: scope.layout,
+                    preview: scope.preview,
+                    placeholder: scope.placeholder,
+                    animationDuration: scope.animationDuration,
+                    animationEasing: scope.animationEasing,
+                    modelIndex: scope.modelIndex,
+                    native: scope.native,
+                    dropConvert: scope.dropConvert,
+                    axisLock: scope.axisLock,
+                    boundary: scope.boundary,
+                    previewParent: scope.previewParent,
+                    maxItems: scope.maxItems,
+                    swapOnFull: scope.swapOnFull,
+                    group: scope.group,
+                    cloneData: scope.dragClone && function(elementData) {
+                        return scope.dragClone({elementData: elementData});
+                    }
+                });
+                // the container takes part in the drags of every type it accepts
+                var types = _.union([scope.type], scope.accepts);
+                var unregister = _.map(types, function(type) {
+                    return dragStore(type).registerContainer(dragContainer);
+                });
 
-                scope.startDrag = function(startCoordsMouse, dragElt) {
-                    dragStore.start(startCoordsMouse, dragContainer, dragElt, scope.type);
+                // on-drag-start and on-drag-end are evaluated for drags out of this container, and on-move for every
+                // element moved (or copied) into or out of it. Their locals are the fields of the event.
+                var events = dragEvents(types);
+                _.forEach({dragStart: scope.onDragStart, dragEnd: scope.onDragEnd}, function(callback, name) {
+                    callback && events.on(name, function(event) {
+                        event.fromContainerData === dragContainer.data && callback(event);
+                    }, scope);
+                });
+                scope.onMove && events.onMove(function(event) {
+                    var data = dragContainer.data;
+                    (event.fromContainerData === data || event.toContainerData === data) && scope.onMove(event);
+                }, scope);
+
+                // elements are dragged as their own type, also when the container accepts them from another type
+                scope.startDrag = function(startCoordsMouse, dragElt, native) {
+                    dragStore.start(startCoordsMouse, dragContainer, dragElt, dragElt.type || scope.type, native);
+                };
+
+                scope.startKeyboardDrag = function(dragElt) {
+                    dragStore.startKeyboard(dragContainer, dragElt, dragElt.type || scope.type);
                 };
 
-                scope.$on("$destroy", unregister);
+                // External drops (see drop-convert) go to the innermost native container that accepts them. Native
+                // drags of this page are handled on the document, see the run block.
+                function accepts() {
+                    var full = _.isNumber(dragContainer.maxItems) && dragContainer.data.length >= dragContainer.maxItems;
+                    return dragContainer.native && dragContainer.dropAllowed && dragContainer.dropConvert && !full &&
+                        !dragStore();
+                }
+
+                function dragOver(e) {
+                    if(!accepts()) return;
+                    e.preventDefault();
+                    e.stopPropagation();
+                    Drag.dataTransfer(e).dropEffect = "copy";
+                    elem.addClass("drag-over");
+                }
+
+                function dragLeave(e) {
+                    var to = (e.originalEvent || e).relatedTarget;
+                    (!to || !elem[0].contains(to)) && elem.removeClass("drag-over");
+                }
+
+                function drop(e) {
+                    if(!accepts()) return;
+                    e.preventDefault();
+                    e.stopPropagation();
+                    elem.removeClass("drag-over");
+                    drag.dropExternal(dragContainer, Drag.dataTransfer(e), Drag.mouse(e));
+                }
+
+                elem.bind("dragover", dragOver);
+                elem.bind("dragleave", dragLeave);
+                elem.bind("drop", drop);
+
+                scope.$on("$destroy", function() {
+                    elem.unbind("dragover", dragOver);
+                    elem.unbind("dragleave", dragLeave);
+                    elem.unbind("drop", drop);
+                    _.forEach(unregister, function(fn) {
+                        fn();
+                    });
+                });
+            }
+        };
+    }])
+
+    // A dropZone is a drop target that is no list, e.g. a trash can, an archive button or a folder icon. Dropping elements
+    // of its type on it calls the on-drop expression (locals: elementData, fromContainerData, fromIndex and zoneData, the
+    // value of zone-data) for each of them, instead of putting them in a container. With drop-effect="remove" (the
+    // default) the elements are removed from their containers, with "restore" they go back, and with "handler" the value
+    // on-drop returns decides: "restore" or "remove", or a promise of either. An on-drop that throws, or a promise that
+    // rejects, restores the element. While an element is dragged over the zone, it has the class drag-over. Keyboard
+    // drags get to drop zones like to containers (the zone gets the focus, so give it a zone-label or aria-label for the
+    // announcements), scripted drags with dragStore.overZone.
+    .directive("dropZone", ["dragStore", "Drag", function(dragStore, Drag) {
+        return {
+            scope: {
+                type: "@dropZone",
+                onDrop: "&",
+                zoneData: "=?",
+                dropEffect: "@?",
+                label: "@?zoneLabel"
+            },
+            link: function(scope, elem, attr) {
+                elem.addClass("drop-zone");
+                // keyboard drags give the zone the focus while the element is on it
+                attr.tabindex === undefined && elem.attr("tabindex", "-1");
+                var drag = dragStore(scope.type);
+                var zone = new Drag.Zone(elem, scope.zoneData, {
+                    onDrop: scope.onDrop,
+                    effect: scope.dropEffect,
+                    label: scope.label
+                });
+                scope.$on("$destroy", drag.registerZone(zone));
             }
         };
     }])
 
     // A dragElement is the element that will be dragged
-    .directive("dragElement", ["dragStore", "Drag", function(dragStore, Drag) {
+    .directive("dragElement", ["dragStore", "Drag", "dragdropConfig", "dragEvents",
+        function(dragStore, Drag, dragdropConfig, dragEvents) {
         return {
             require: "^dragContainer",
             restrict: "A", // necessary because the attribute is searched in the Drag object
             scope: {
                 type: "@dragElement",
-                data: "=elementData"
+                data: "=elementData",
+                index: "=?elementIndex",
+                native: "=?dragNative",
+                disabled: "&?dragDisabled",
+                dragThreshold: "=?",
+                dragDelay: "=?",
+                onDragStart: "&?",
+                onDragEnd: "&?",
+                onMove: "&?"
             },
             controller: function($scope) {
                 this.startDrag = function(startCoordsMouse) {
                     $scope.startDrag && $scope.startDrag(startCoordsMouse);
                 };
+
+                this.startKeyboardDrag = function() {
+                    $scope.startKeyboardDrag && $scope.startKeyboardDrag();
+                };
+
+                this.native = function() {
+                    return !!($scope.isNative && $scope.isNative());
+                };
+
+                this.disabled = function() {
+                    return !!($scope.isDisabled && $scope.isDisabled());
+                };
+
+                // drag-threshold or drag-delay of the element, or else of its container
+                this.handleOption = function(name) {
+                    return _.isNumber($scope[name]) ? $scope[name] : $scope.containerHandleOption(name);
+                };
+
+                // handles link before the element they are in, unless they are added later (e.g. by ng-if)
+                this.addHandle = function() {
+                    $scope.hasHandle = true;
+                    $scope.handleAdded && $scope.handleAdded();
+                };
             },
             link: function(scope, elem, attr, dragContainerCtrl) {
                 elem.addClass("drag-element");
+                // make the element reachable with the keyboard; when it has a drag-handle, only the handle is
+                var focusable = attr.tabindex === undefined;
+                focusable && !scope.hasHandle && elem.attr("tabindex", "0");
+                scope.handleAdded = function() {
+                    focusable && elem.removeAttr("tabindex");
+                };
                 var drag = dragStore(scope.type);
-                var dragElt = new Drag.Element(elem, scope.data);
-                var unregister = drag.registerElement(dragElt);
+                scope.containerHandleOption = dragContainerCtrl.handleOption;
+                // drag-disabled, or else the dragDisabled option of dragdropConfig, tells whether the element can't be
+                // dragged (with the pointer or the keyboard) for now
+                scope.isDisabled = function() {
+                    if(scope.disabled) {
+                        return !!scope.disabled();
+                    }
+                    var disabled = dragdropConfig.dragDisabled;
+                    return !!(_.isFunction(disabled) ? disabled(scope.data) : disabled);
+                };
+                scope.$watch(scope.isDisabled, function(disabled) {
+                    elem.toggleClass("drag-disabled", disabled);
+                });
+
+                var dragElt = new Drag.Element(elem, scope.data, scope.$parent, {
+                    type: scope.type,
+                    index: function() {
+                        return scope.index;
+                    },
+                    disabled: scope.isDisabled
+                });
+                // Elements are dragged as their own type, but they are in the layout of the drags of every type that
+                // their container accepts
+                var unregister = _.map(_.union([scope.type], dragContainerCtrl.types()), function(type) {
+                    return dragStore(type).registerElement(dragElt);
+                });
+
+                // on-drag-start, on-drag-end and on-move are evaluated for drags and moves of this element (also when
+                // it is dragged along with other selected elements). Their locals are the fields of the event.
+                var events = dragEvents(scope.type);
+                _.forEach({dragStart: scope.onDragStart, dragEnd: scope.onDragEnd}, function(callback, name) {
+                    callback && events.on(name, function(event) {
+                        _.includes(event.elementsData, scope.data) && callback(event);
+                    }, scope);
+                });
+                scope.onMove && events.onMove(function(event) {
+                    event.elementData === scope.data && scope.onMove(event);
+                }, scope);
 
+                var dragged = false; // whether the element got dragged since it was pressed
                 scope.startDrag = function(startCoordsMouse) {
+                    if(scope.isDisabled()) return;
+                    dragged = true;
                     dragContainerCtrl.startDrag(startCoordsMouse, dragElt);
                 };
 
-                scope.$on("$destroy", unregister);
+                scope.startKeyboardDrag = function() {
+                    scope.isDisabled() || dragContainerCtrl.startKeyboardDrag(dragElt);
+                };
+
+                // With native drag and drop the browser starts drags of the draggable element, wherever it is pressed.
+                // Only presses on the drag handle of this element may start a drag though.
+                scope.isNative = function() {
+                    return _.isBoolean(scope.native) ? scope.native : dragContainerCtrl.native();
+                };
+                scope.isNative() && elem.attr("draggable", "true");
+                var pressedHandle = null;
+
+                function pointerDown(e) {
+                    var target = (e.originalEvent || e).target;
+                    pressedHandle = target.closest ? target.closest(".drag-handle") : null;
+                    dragged = false;
+                }
+
+                var nativeDragStart = Drag.handler(function(e) {
+                    // dragstart bubbles, and nested drag elements handle their own drags
+                    if((e.originalEvent || e).target !== elem[0] || !scope.isNative()) return;
+                    var handle = pressedHandle;
+                    pressedHandle = null;
+                    if(!handle || handle.closest(".drag-element") !== elem[0] || scope.isDisabled()) {
+                        e.preventDefault();
+                        return;
+                    }
+                    var dataTransfer = Drag.dataTransfer(e);
+                    dataTransfer.effectAllowed = "copyMove";
+                    _.forEach(dragdropConfig.mimeTypes, function(serialize, type) {
+                        dataTransfer.setData(type, serialize(scope.data));
+                    });
+                    // dragend is fired on this DOM element, also when it has been removed from the document by then
+                    elem[0].addEventListener("dragend", nativeDragEnd);
+                    dragged = true;
+                    dragContainerCtrl.startDrag(Drag.mouse(e), dragElt, true);
+                });
+
+                // When the native drag wasn't dropped in this page, it is cancelled
+                var nativeDragEnd = Drag.handler(function() {
+                    elem[0].removeEventListener("dragend", nativeDragEnd);
+                    var drag = dragStore();
+                    drag && drag.native() && dragStore.cancel();
+                });
+
+                // The click that ends a drag (e.g. with Ctrl, which copied the element) is no selection
+                var click = Drag.handler(function(e) {
+                    if(dragged) {
+                        dragged = false;
+                    } else if(e.ctrlKey || e.metaKey) {
+                        drag.select(dragElt, "toggle");
+                    } else if(e.shiftKey) {
+                        drag.select(dragElt, "range");
+                    } else {
+                        drag.select(dragElt);
+                    }
+                });
+
+                elem.bind("click", click);
+                elem.bind(Drag.events.start, pointerDown);
+                elem.bind("dragstart", nativeDragStart);
+
+                scope.$on("$destroy", function() {
+                    elem.unbind("click", click);
+                    elem.unbind(Drag.events.start, pointerDown);
+                    elem.unbind("dragstart", nativeDragStart);
+                    _.forEach(unregister, function(fn) {
+                        fn();
+                    });
+                });
             }
         };
     }])
 
     // A dragHandle must be inside of a dragElement and triggers the drag start on this element
-    .directive("dragHandle", ["Drag", function(Drag) {
+    .directive("dragHandle", ["$timeout", "Drag", "dragStore", "dragdropConfig",
+        function($timeout, Drag, dragStore, dragdropConfig) {
         return {
             require: "^dragElement",
             link: function(scope, elem, attr, dragElementCtrl) {
-                elem.css("cursor", "move");
+                elem.addClass("drag-handle");
+                attr.tabindex === undefined && elem.attr("tabindex", "0");
+                dragElementCtrl.addHandle();
+                attr.role === undefined && elem.attr("role", "button");
+                elem.css({
+                    cursor: "move",
+                    "-webkit-touch-callout": "none", // no callout menu on long press in iOS
+                    "-webkit-user-select": "none",
+                    "user-select": "none"
+                });
 
-                var dragThreshold = 20; // drag this far in px before really starting
                 var startCoords = null;
+                var longPress = null; // promise of the long press timeout while a touch (or delayed) drag is pending
+
+                // drag-threshold="<px>" is how far the pointer has to move before a drag really starts, and with
+                // drag-delay="<ms>" the mouse has to be held down that long instead. Those of the handle come first,
+                // then those of its drag-element and its drag-container, and then dragdropConfig.
+                function option(name) {
+                    var value = parseFloat(attr[name]);
+                    if(!isNaN(value)) {
+                        return value;
+                    }
+                    value = dragElementCtrl.handleOption(name);
+                    return _.isNumber(value) ? value : dragdropConfig[name];
+                }
+
+                function abort() {
+                    longPress && $timeout.cancel(longPress);
+                    longPress = null;
+                    startCoords = null;
+                }
+
+                // called from the pointer handlers, and from the timeout of a long press or drag-delay
+                var start = Drag.handler(function() {
+                    var coords = startCoords;
+                    abort();
+                    dragElementCtrl.startDrag(coords);
+                });
+
                 function mouseDown(e) {
-                    if(e.button !== 0) return;
-                    e.preventDefault();
+                    // native drags are started by the browser, which a prevented mousedown would stop
+                    if(dragElementCtrl.native() && !Drag.touch(e)) return;
+                    if(dragElementCtrl.disabled()) return;
+                    if(!Drag.primary(e)) {
+                        // a second finger touched the screen; the user is probably pinching, not dragging
+                        abort();
+                        return;
+                    }
                     startCoords = Drag.mouse(e);
+                    if(Drag.touch(e)) {
+                        // don't prevent default here, since the touch may turn out to be a scroll
+                        longPress = $timeout(start, dragdropConfig.longPressDelay, false);
+                        return;
+                    }
+                    e.preventDefault();
+                    if(option("dragDelay") > 0) {
+                        longPress = $timeout(start, option("dragDelay"), false);
+                    }
                 }
 
                 function mouseUp(e) {
-                    if(e.button !== 0) return;
-                    e.preventDefault();
-                    startCoords = null;
+                    if(!Drag.primary(e)) return;
+                    startCoords && !longPress && e.preventDefault();
+                    abort();
                 }
 
                 function mouseMove(e) {
-                    if(!startCoords || e.button !== 0) return;
-                    e.preventDefault();
+                    if(!startCoords) return;
+                    if(!Drag.primary(e)) {
+                        abort();
+                        return;
+                    }
                     var coords = Drag.mouse(e);
-                    if( Math.abs(coords[0]-startCoords[0]) >= dragThreshold ||
-                        Math.abs(coords[1]-startCoords[1]) >= dragThreshold) {
-                        dragElementCtrl.startDrag(startCoords);
-                        startCoords = null;
+                    var moved = Math.max(Math.abs(coords[0]-startCoords[0]), Math.abs(coords[1]-startCoords[1]));
+                    if(longPress) {
+                        // the pointer moved before the long press completed, so the user is scrolling (or selecting)
+                        moved >= dragdropConfig.longPressTolerance && abort();
+                        return;
+                    }
+                    e.preventDefault();
+                    if(moved >= option("dragThreshold")) {
+                        start();
                     }
                 }
 
                 function mouseLeave(e) {
-                    if(e.button !== 0) return;
+                    if(!startCoords || !Drag.primary(e)) return;
+                    if(longPress) {
+                        abort();
+                        return;
+                    }
                     e.preventDefault();
                     // if mouse leaves, we will no longer receive mousemove events, so in this case
                     // we will just start the drag
-                    startCoords && dragElementCtrl.startDrag(startCoords);
-                    startCoords = null;
+                    start();
+                }
+
+                var keyDown = Drag.handler(function(e) {
+                    // while dragging, keys are handled on the document
+                    if(dragStore() || (e.keyCode !== 13 && e.keyCode !== 32)) return;
+                    e.preventDefault();
+                    // don't let the document handle this key as well, since it would drop the element right away
+                    e.stopPropagation();
+                    dragElementCtrl.startKeyboardDrag();
+                });
+
+                function contextMenu(e) {
+                    // a long press opens the context menu on most touch devices
+                    (longPress || dragStore()) && e.preventDefault();
                 }
 
-                elem.bind("mousedown", mouseDown);
-                elem.bind("mouseup", mouseUp);
-                elem.bind("mousemove", mouseMove);
-                elem.bind("mouseleave", mouseLeave);
+                elem.bind(Drag.events.start, mouseDown);
+                elem.bind(Drag.events.end, mouseUp);
+                elem.bind(Drag.events.move, mouseMove);
+                elem.bind(Drag.events.leave, mouseLeave);
+                elem.bind(Drag.events.cancel, abort);
+                elem.bind("contextmenu", contextMenu);
+                elem.bind("keydown", keyDown);
 
                 scope.$on("$destroy", function() {
-                    elem.unbind("mousedown", mouseDown);
-                    elem.unbind("mouseup", mouseUp);
-                    elem.unbind("mousemove", mouseUp);
-                    elem.unbind("mouseleave", mouseLeave);
+                    abort();
+                    elem.unbind(Drag.events.start, mouseDown);
+                    elem.unbind(Drag.events.end, mouseUp);
+                    elem.unbind(Drag.events.move, mouseMove);
+                    elem.unbind(Drag.events.leave, mouseLeave);
+                    elem.unbind(Drag.events.cancel, abort);
+                    elem.unbind("contextmenu", contextMenu);
+                    elem.unbind("keydown", keyDown);
                 });
             }
         };
@@ -0,0 +1,900 @@
+// Jasmine specs of dragdrop.js, using the dragSimulator of dragdrop-testing.js. They run in a browser or in jsdom, after
+// lodash, angular, angular-mocks, dragdrop.js and dragdrop-testing.js have been loaded; npm test runs them in jsdom (see
+// run.js).
+
+describe("dragdrop", function() {
+    var $compile, $rootScope, $timeout, dragSimulator, dragStore, scope, elem, events;
+
+    beforeEach(module("dragdropTesting"));
+
+    beforeEach(inject(function(_$compile_, _$rootScope_, _$timeout_, _dragSimulator_, _dragStore_) {
+        $compile = _$compile_;
+        $rootScope = _$rootScope_;
+        $timeout = _$timeout_;
+        dragSimulator = _dragSimulator_;
+        dragStore = _dragStore_;
+
+        scope = $rootScope.$new();
+        scope.todo = [{name: "a"}, {name: "b"}, {name: "c"}];
+        scope.done = [{name: "d"}];
+        elem = $compile(
+            "<div>" +
+                "<div drag-container='card' container-data='todo'>" +
+                    "<div ng-repeat='card in todo' drag-element='card' element-data='card'>" +
+                        "<span drag-handle>{{card.name}}</span>" +
+                    "</div>" +
+                "</div>" +
+                "<div drag-container='card' container-data='done'>" +
+                    "<div ng-repeat='card in done' drag-element='card' element-data='card'>" +
+                        "<span drag-handle>{{card.name}}</span>" +
+                    "</div>" +
+                "</div>" +
+            "</div>")(scope);
+        // the document gets the pointer events and the focus during drags
+        angular.element(document.body).append(elem);
+        scope.$digest();
+
+        var columns = elem.children();
+        dragSimulator.list(columns[0], {left: 0, top: 0, width: 100, height: 400, itemHeight: 20});
+        dragSimulator.list(columns[1], {left: 100, top: 0, width: 100, height: 400, itemHeight: 20});
+
+        events = [];
+        _.forEach(["dragStart", "dragEnd", "dragCancel", "elementMoved", "elementCopied"], function(name) {
+            scope.$on("$destroy", $rootScope.$on("dragdrop:" + name, function(e, event) {
+                events.push({name: name, event: event});
+            }));
+        });
+    }));
+
+    afterEach(function() {
+        dragStore.cancel();
+        dragSimulator.reset();
+        scope.$destroy();
+        elem.remove();
+    });
+
+    function handle(name, root) {
+        return _.find((root || elem)[0].querySelectorAll("[drag-handle]"), function(h) {
+            return h.textContent === name;
+        });
+    }
+
+    function names(data) {
+        return _.map(data, "name");
+    }
+
+    function eventNames() {
+        return _.map(events, "name");
+    }
+
+    function key(target, keyCode) {
+        var event = document.createEvent("Event");
+        event.initEvent("keydown", true, true);
+        event.keyCode = keyCode;
+        target.dispatchEvent(event);
+    }
+
+    function click(name, eventInit) {
+        var event = new MouseEvent("click", angular.extend({bubbles: true, cancelable: true}, eventInit));
+        handle(name).dispatchEvent(event);
+    }
+
+    describe("with a pointer", function() {
+        it("moves an element to another container", function() {
+            dragSimulator.drag(handle("a"), [[50, 10], [50, 30], [150, 2]]);
+            $timeout.flush();
+
+            expect(names(scope.todo)).toEqual(["b", "c"]);
+            expect(names(scope.done)).toEqual(["a", "d"]);
+            expect(eventNames()).toEqual(["dragStart", "dragEnd", "elementMoved"]);
+            expect(events[2].event).toEqual(jasmine.objectContaining({
+                fromContainerData: scope.todo,
+                fromContainerIndex: 0,
+                toContainerData: scope.done,
+                toContainerIndex: 0
+            }));
+        });
+
+        it("moves an element within its container", function() {
+            dragSimulator.drag(handle("a"), [[50, 10], [50, 30], [50, 55]]);
+            $timeout.flush();
+
+            expect(names(scope.todo)).toEqual(["b", "c", "a"]);
+            expect(_.last(eventNames())).toBe("elementMoved");
+        });
+
+        it("copies an element while Ctrl is pressed", function() {
+            dragSimulator.drag(handle("b"), [[50, 30], [50, 50], [150, 30]], {eventInit: {ctrlKey: true}});
+            $timeout.flush();
+
+            expect(names(scope.todo)).toEqual(["a", "b", "c"]);
+            expect(names(scope.done)).toEqual(["d", "b"]);
+            expect(scope.done[1]).not.toBe(scope.todo[1]);
+            expect(_.last(eventNames())).toBe("elementCopied");
+        });
+
+        it("puts the element back when the drag is cancelled with Escape", function() {
+            dragSimulator.drag(handle("a"), [[50, 10], [50, 30], [150, 10]], {release: false});
+            expect(dragStore()).toBeTruthy();
+
+            key(document, 27);
+            $timeout.flush();
+
+            expect(dragStore()).toBeFalsy();
+            expect(names(scope.todo)).toEqual(["a", "b", "c"]);
+            expect(names(scope.done)).toEqual(["d"]);
+            expect(eventNames()).toEqual(["dragStart", "dragCancel", "dragEnd"]);
+        });
+
+        it("doesn't drag when the pointer stays within the drag threshold", function() {
+            dragSimulator.drag(handle("a"), [[50, 10], [51, 11]]);
+            $timeout.flush();
+
+            expect(names(scope.todo)).toEqual(["a", "b", "c"]);
+            expect(events).toEqual([]);
+        });
+    });
+
+    describe("with the keyboard", function() {
+        it("moves an element within its container", function() {
+            key(handle("a"), 32); // space picks it up
+            key(document.activeElement, 40); // down
+            key(document.activeElement, 40);
+            key(document.activeElement, 13); // enter drops it
+            $timeout.flush();
+
+            expect(names(scope.todo)).toEqual(["b", "c", "a"]);
+            expect(eventNames()).toEqual(["dragStart", "dragEnd", "elementMoved"]);
+        });
+
+        it("moves an element to the next container", function() {
+            key(handle("b"), 13);
+            key(document.activeElement, 39); // right
+            key(document.activeElement, 13);
+            $timeout.flush();
+
+            expect(names(scope.todo)).toEqual(["a", "c"]);
+            expect(names(scope.done)).toEqual(["d", "b"]);
+            expect(events[2].event).toEqual(jasmine.objectContaining({
+                fromContainerIndex: 1,
+                toContainerData: scope.done,
+                toContainerIndex: 1
+            }));
+        });
+
+        it("puts the element back when the drag is cancelled with Escape", function() {
+            key(handle("a"), 32);
+            key(document.activeElement, 39);
+            key(document.activeElement, 27);
+            $timeout.flush();
+
+            expect(names(scope.todo)).toEqual(["a", "b", "c"]);
+            expect(names(scope.done)).toEqual(["d"]);
+            expect(eventNames()).toEqual(["dragStart", "dragCancel", "dragEnd"]);
+            expect(document.activeElement).toBe(handle("a"));
+        });
+
+        it("ends the drag when the app removes the element", function() {
+            key(handle("a"), 32);
+            key(document.activeElement, 40);
+            scope.$apply(function() {
+                _.pull(scope.todo, _.find(scope.todo, {name: "a"}));
+            });
+            $timeout.flush();
+
+            expect(dragStore()).toBeFalsy();
+            expect(names(scope.todo)).toEqual(["b", "c"]);
+            expect(eventNames()).toEqual(["dragStart", "dragCancel", "dragEnd"]);
+
+            key(document, 13);
+            expect(names(scope.todo)).toEqual(["b", "c"]);
+        });
+    });
+
+    describe("drop validation", function() {
+        var dragdropConfig, $q;
+
+        beforeEach(inject(function(_dragdropConfig_, _$q_) {
+            dragdropConfig = _dragdropConfig_;
+            $q = _$q_;
+        }));
+
+        afterEach(function() {
+            dragdropConfig.dropValidate = null;
+        });
+
+        it("shows the no-drop feedback while the pointer is where the validator rejects", function() {
+            dragdropConfig.dropValidate = function(locals) {
+                return locals.toContainerData !== scope.done;
+            };
+            var done = elem.children().eq(1);
+
+            dragSimulator.drag(handle("a"), [[50, 10], [50, 30], [150, 30]], {release: false});
+            $rootScope.$digest();
+
+            expect(done.hasClass("drag-over-rejected")).toBe(true);
+            expect(document.querySelector(".drag-preview").style.cursor).toBe("no-drop");
+
+            dragSimulator.pointer("move", document, [50, 30]);
+            dragStore().flush();
+            $rootScope.$digest();
+
+            expect(done.hasClass("drag-over-rejected")).toBe(false);
+            expect(document.querySelector(".drag-preview").style.cursor).toBe("move");
+        });
+
+        it("puts the element back and emits dragCancel when the validator rejects", function() {
+            dragdropConfig.dropValidate = function() {
+                return $q.reject();
+            };
+
+            dragSimulator.drag(handle("a"), [[50, 10], [50, 30], [150, 30]]);
+            $timeout.flush();
+
+            expect(names(scope.todo)).toEqual(["a", "b", "c"]);
+            expect(names(scope.done)).toEqual(["d"]);
+            expect(eventNames()).toEqual(["dragStart", "dragEnd", "dragCancel"]);
+        });
+
+        it("puts the element back when the validator throws", function() {
+            dragdropConfig.dropValidate = function() {
+                throw new Error("offline");
+            };
+
+            dragSimulator.drag(handle("a"), [[50, 10], [50, 30], [150, 30]]);
+            $timeout.flush();
+
+            expect(names(scope.todo)).toEqual(["a", "b", "c"]);
+            expect(names(scope.done)).toEqual(["d"]);
+            expect(_.last(eventNames())).toBe("dragCancel");
+        });
+
+        it("waits for the promise, and inserts the element data it resolves with", function() {
+            var saved = $q.defer();
+            dragdropConfig.dropValidate = function() {
+                return saved.promise;
+            };
+
+            dragSimulator.drag(handle("a"), [[50, 10], [50, 30], [150, 30]]);
+            $timeout.flush();
+
+            expect(names(scope.done)).toEqual(["d"]);
+            expect(document.querySelector(".ghost.drag-pending")).not.toBe(null);
+
+            saved.resolve({name: "a2"});
+            $timeout.flush();
+
+            expect(names(scope.todo)).toEqual(["b", "c"]);
+            expect(names(scope.done)).toEqual(["d", "a2"]);
+            expect(document.querySelector(".ghost")).toBe(null);
+            expect(_.last(events).event.elementData).toBe(scope.done[1]);
+        });
+    });
+
+    describe("undo and redo", function() {
+        var dragHistory;
+
+        beforeEach(inject(function(_dragHistory_) {
+            dragHistory = _dragHistory_;
+        }));
+
+        it("undoes and redoes a move", function() {
+            dragStore.move("card", scope.todo[0], scope.done, 1);
+            $timeout.flush();
+
+            expect(dragHistory.undo().action).toBe("move");
+            expect(names(scope.todo)).toEqual(["a", "b", "c"]);
+            expect(names(scope.done)).toEqual(["d"]);
+
+            dragHistory.redo();
+            expect(names(scope.todo)).toEqual(["b", "c"]);
+            expect(names(scope.done)).toEqual(["d", "a"]);
+            expect(dragHistory.canRedo()).toBe(false);
+        });
+
+        it("undoes a copy by taking the copy out", function() {
+            dragStore.move("card", scope.todo[1], scope.done, 0, true);
+            $timeout.flush();
+            var copy = scope.done[0];
+
+            expect(dragHistory.undo().action).toBe("copy");
+            expect(names(scope.todo)).toEqual(["a", "b", "c"]);
+            expect(names(scope.done)).toEqual(["d"]);
+
+            dragHistory.redo();
+            expect(scope.done[0]).toBe(copy);
+        });
+
+        it("undoes the move of several selected elements at once", function() {
+            click("a", {ctrlKey: true});
+            click("c", {ctrlKey: true});
+            dragSimulator.drag(handle("a"), [[50, 10], [50, 30], [150, 30]]);
+            $timeout.flush();
+
+            expect(names(scope.todo)).toEqual(["b"]);
+            expect(names(scope.done)).toEqual(["d", "a", "c"]);
+            expect(dragHistory.entries().length).toBe(1);
+
+            dragHistory.undo();
+            expect(names(scope.todo)).toEqual(["a", "b", "c"]);
+            expect(names(scope.done)).toEqual(["d"]);
+
+            dragHistory.redo();
+            expect(names(scope.todo)).toEqual(["b"]);
+            expect(names(scope.done)).toEqual(["d", "a", "c"]);
+        });
+
+        it("keeps historyLimit entries, counting cancelled drags", inject(function(dragdropConfig) {
+            dragdropConfig.historyLimit = 2;
+            dragStore.move("card", scope.todo[0], scope.done);
+            $timeout.flush();
+            dragStore.begin("card", scope.todo[0]);
+            dragStore.cancel();
+            dragStore.move("card", scope.todo[0], scope.done);
+            $timeout.flush();
+
+            expect(_.map(dragHistory.entries(), "action")).toEqual(["cancel", "move"]);
+
+            dragHistory.undo();
+            expect(names(scope.done)).toEqual(["d", "a"]);
+            expect(dragHistory.canUndo()).toBe(false);
+        }));
+    });
+
+    describe("external drops", function() {
+        var inbox, convert;
+
+        beforeEach(function() {
+            scope.inbox = [{name: "h"}, {name: "i"}];
+            scope.convert = function(text) {
+                return convert(text);
+            };
+            inbox = $compile(
+                "<div drag-container='card' container-data='inbox' drag-native='true' drop-convert='convert(text)'>" +
+                    "<div ng-repeat='card in inbox' drag-element='card' element-data='card'>" +
+                        "<span drag-handle>{{card.name}}</span>" +
+                    "</div>" +
+                "</div>")(scope);
+            angular.element(document.body).append(inbox);
+            scope.$digest();
+            dragSimulator.list(inbox, {left: 200, top: 0, width: 100, height: 400, itemHeight: 20});
+        });
+
+        afterEach(function() {
+            inbox.remove();
+        });
+
+        // Drops text from outside of the page at client coordinates coords
+        function drop(text, coords) {
+            var event = new MouseEvent("drop", {bubbles: true, cancelable: true, clientX: coords[0], clientY: coords[1]});
+            event.dataTransfer = {
+                files: [],
+                getData: function(type) {
+                    return type === "text/plain" ? text : "";
+                }
+            };
+            inbox[0].dispatchEvent(event);
+            $rootScope.$digest();
+        }
+
+        it("inserts the element data drop-convert returns at the drop position", function() {
+            var externalDrops = [];
+            scope.$on("$destroy", $rootScope.$on("dragdrop:externalDrop", function(e, event) {
+                externalDrops.push(event);
+            }));
+            convert = function(text) {
+                return {name: text};
+            };
+
+            drop("j", [250, 25]);
+
+            expect(names(scope.inbox)).toEqual(["h", "j", "i"]);
+            expect(externalDrops.length).toBe(1);
+            expect(externalDrops[0]).toEqual(jasmine.objectContaining({
+                elementsData: [scope.inbox[1]],
+                toContainerData: scope.inbox,
+                toContainerIndex: 1
+            }));
+        });
+
+        it("inserts all element data a promise resolves with", inject(function($q) {
+            convert = function(text) {
+                return $q.when([{name: text + "1"}, {name: text + "2"}]);
+            };
+
+            drop("k", [250, 100]);
+
+            expect(names(scope.inbox)).toEqual(["h", "i", "k1", "k2"]);
+        }));
+
+        it("refuses the drop when drop-convert returns nothing, throws or rejects", inject(function($q) {
+            _.forEach([
+                _.noop,
+                function() {
+                    throw new Error("unreadable");
+                },
+                function() {
+                    return $q.reject();
+                }
+            ], function(fn) {
+                convert = fn;
+                drop("l", [250, 25]);
+            });
+
+            expect(names(scope.inbox)).toEqual(["h", "i"]);
+        }));
+    });
+
+    describe("drop zones", function() {
+        var zones, zoneDrops;
+
+        beforeEach(function() {
+            scope.dropped = [];
+            zones = $compile(
+                "<div>" +
+                    "<div drop-zone='card' zone-data='\"trash\"' on-drop='dropped.push(elementData)'></div>" +
+                    "<div drop-zone='card' zone-data='\"keep\"' on-drop='dropped.push(elementData)' " +
+                        "drop-effect='restore'></div>" +
+                    "<div drop-zone='card' zone-data='\"ask\"' on-drop='decide(elementData)' " +
+                        "drop-effect='handler'></div>" +
+                "</div>")(scope);
+            angular.element(document.body).append(zones);
+            scope.$digest();
+            _.forEach(zones.children(), function(zone, i) {
+                dragSimulator.rect(zone, {left: 200, top: i * 50, width: 100, height: 50});
+            });
+
+            zoneDrops = [];
+            scope.$on("$destroy", $rootScope.$on("dragdrop:zoneDrop", function(e, event) {
+                zoneDrops.push(event);
+            }));
+        });
+
+        afterEach(function() {
+            zones.remove();
+        });
+
+        it("removes the elements dropped on a zone", function() {
+            dragSimulator.drag(handle("a"), [[50, 10], [50, 30], [250, 25]]);
+            $timeout.flush();
+
+            expect(names(scope.todo)).toEqual(["b", "c"]);
+            expect(names(scope.dropped)).toEqual(["a"]);
+            expect(zoneDrops.length).toBe(1);
+            expect(zoneDrops[0].zoneData).toBe("trash");
+            expect(zoneDrops[0].items).toEqual([jasmine.objectContaining({
+                fromContainerData: scope.todo,
+                fromContainerIndex: 0,
+                effect: "remove"
+            })]);
+        });
+
+        it("puts them back with drop-effect restore", function() {
+            dragSimulator.drag(handle("a"), [[50, 10], [50, 30], [250, 75]]);
+            $timeout.flush();
+
+            expect(names(scope.todo)).toEqual(["a", "b", "c"]);
+            expect(names(scope.dropped)).toEqual(["a"]);
+            expect(zoneDrops[0].items[0].effect).toBe("restore");
+        });
+
+        it("lets on-drop decide with drop-effect handler, and puts them back when it throws", inject(function($q) {
+            scope.decide = function(elementData) {
+                if(elementData.name === "a") {
+                    return $q.when("remove");
+                }
+                throw new Error("read-only");
+            };
+
+            dragSimulator.drag(handle("a"), [[50, 10], [50, 30], [250, 125]]);
+            $timeout.flush();
+            dragSimulator.drag(handle("b"), [[50, 10], [50, 30], [250, 125]]);
+            $timeout.flush();
+
+            expect(dragStore()).toBeFalsy();
+            expect(names(scope.todo)).toEqual(["b", "c"]);
+            expect(_.map(zoneDrops, function(zoneDrop) {
+                return zoneDrop.items[0].effect;
+            })).toEqual(["remove", "restore"]);
+        }));
+
+        it("takes keyboard drags after the last container", function() {
+            key(handle("d"), 32);
+            key(document.activeElement, 39);
+            expect(document.activeElement).toBe(zones.children()[0]);
+            key(document.activeElement, 13);
+            $timeout.flush();
+
+            expect(names(scope.done)).toEqual([]);
+            expect(names(scope.dropped)).toEqual(["d"]);
+        });
+
+        it("takes scripted drags with dragStore.overZone", function() {
+            dragStore.begin("card", scope.todo[2]);
+            dragStore.overZone("trash");
+            dragStore.drop();
+            $timeout.flush();
+
+            expect(names(scope.todo)).toEqual(["a", "b"]);
+            expect(names(scope.dropped)).toEqual(["c"]);
+        });
+
+        it("records the removal, which undo reverts", inject(function(dragHistory) {
+            dragStore.move("card", scope.todo[0], scope.done);
+            $timeout.flush();
+            dragStore.begin("card", scope.done[1]);
+            dragStore.overZone("trash");
+            dragStore.drop();
+            $timeout.flush();
+
+            expect(_.map(dragHistory.entries(), "action")).toEqual(["move", "remove"]);
+
+            dragHistory.undo();
+            expect(names(scope.done)).toEqual(["d", "a"]);
+
+            dragHistory.undo();
+            expect(names(scope.todo)).toEqual(["a", "b", "c"]);
+            expect(names(scope.done)).toEqual(["d"]);
+        }));
+    });
+
+    describe("drag threshold", function() {
+        var list;
+
+        beforeEach(function() {
+            scope.items = [{name: "e"}, {name: "f"}, {name: "g"}];
+            list = $compile(
+                "<div drag-container='item' container-data='items' drag-threshold='50'>" +
+                    "<div ng-repeat='item in items' drag-element='item' element-data='item' " +
+                        "drag-threshold='item.name === \"f\" ? 5 : undefined'>" +
+                        "<span drag-handle drag-threshold='{{item.name === \"g\" ? 1 : \"\"}}'>{{item.name}}</span>" +
+                    "</div>" +
+                "</div>")(scope);
+            angular.element(document.body).append(list);
+            scope.$digest();
+            dragSimulator.list(list, {left: 0, top: 0, width: 100, height: 400, itemHeight: 20});
+        });
+
+        afterEach(function() {
+            list.remove();
+        });
+
+        function drags(name, dy) {
+            var start = [50, _.map(scope.items, "name").indexOf(name) * 20 + 10];
+            dragSimulator.drag(handle(name, list), [start, [50, start[1] + dy]], {release: false});
+            var dragging = !!dragStore();
+            scope.$apply(dragStore.cancel);
+            return dragging;
+        }
+
+        it("comes from the container when the element and handle have none", function() {
+            expect(drags("e", 30)).toBe(false);
+            expect(drags("e", 60)).toBe(true);
+        });
+
+        it("comes from the element before the container", function() {
+            expect(drags("f", 10)).toBe(true);
+        });
+
+        it("comes from the handle before the element", function() {
+            expect(drags("g", 2)).toBe(true);
+        });
+    });
+
+    describe("with accepted types", function() {
+        var lists;
+
+        beforeEach(function() {
+            scope.tasks = [{name: "m"}, {name: "n", memo: true}];
+            scope.memos = [{name: "o", memo: true}];
+            lists = $compile(
+                "<div>" +
+                    "<div drag-container='task' container-data='tasks' drag-accepts='[\"memo\"]'>" +
+                        "<div ng-repeat='item in tasks' drag-element='{{item.memo ? \"memo\" : \"task\"}}' " +
+                            "element-data='item'><span drag-handle>{{item.name}}</span></div>" +
+                    "</div>" +
+                    "<div drag-container='memo' container-data='memos'>" +
+                        "<div ng-repeat='item in memos' drag-element='memo' element-data='item'>" +
+                            "<span drag-handle>{{item.name}}</span>" +
+                        "</div>" +
+                    "</div>" +
+                "</div>")(scope);
+            angular.element(document.body).append(lists);
+            scope.$digest();
+            var columns = lists.children();
+            dragSimulator.list(columns[0], {left: 0, top: 0, width: 100, height: 400, itemHeight: 20});
+            dragSimulator.list(columns[1], {left: 100, top: 0, width: 100, height: 400, itemHeight: 20});
+        });
+
+        afterEach(function() {
+            lists.remove();
+        });
+
+        it("drags an element of another type out to a container of its own type", function() {
+            dragSimulator.drag(handle("n", lists), [[50, 30], [50, 50], [150, 30]]);
+            $timeout.flush();
+
+            expect(names(scope.tasks)).toEqual(["m"]);
+            expect(names(scope.memos)).toEqual(["o", "n"]);
+        });
+
+        it("doesn't drop an element in a container of another type that doesn't accept it", function() {
+            dragSimulator.drag(handle("m", lists), [[50, 5], [75, 5], [150, 5]]);
+            $timeout.flush();
+
+            expect(names(scope.tasks)).toEqual(["m", "n"]);
+            expect(names(scope.memos)).toEqual(["o"]);
+        });
+    });
+
+    describe("with swap-on-full", function() {
+        var lists;
+
+        beforeEach(function() {
+            scope.bench = [{name: "s"}, {name: "t"}];
+            scope.field = [{name: "u"}, {name: "v"}];
+            lists = $compile(
+                "<div>" +
+                    "<div drag-container='player' container-data='bench'>" +
+                        "<div ng-repeat='p in bench' drag-element='player' element-data='p'>{{p.name}}</div>" +
+                    "</div>" +
+                    "<div drag-container='player' container-data='field' max-items='2' swap-on-full='true'>" +
+                        "<div ng-repeat='p in field' drag-element='player' element-data='p'>{{p.name}}</div>" +
+                    "</div>" +
+                "</div>")(scope);
+            angular.element(document.body).append(lists);
+            scope.$digest();
+        });
+
+        afterEach(function() {
+            lists.remove();
+        });
+
+        it("records the drop and the swap as one entry, which undo reverts", inject(function(dragHistory) {
+            dragStore.move("player", scope.bench[0], scope.field, 2);
+            $timeout.flush();
+
+            expect(names(scope.bench)).toEqual(["v", "t"]);
+            expect(names(scope.field)).toEqual(["u", "s"]);
+            var moved = _.find(events, function(e) {
+                return e.name === "elementMoved" && !e.event.swap;
+            });
+            expect(moved.event.toContainerIndex).toBe(1);
+            expect(dragHistory.entries().length).toBe(1);
+            expect(dragHistory.entries()[0].items.length).toBe(2);
+
+            dragHistory.undo();
+
+            expect(names(scope.bench)).toEqual(["s", "t"]);
+            expect(names(scope.field)).toEqual(["u", "v"]);
+            expect(dragHistory.canUndo()).toBe(false);
+        }));
+    });
+
+    describe("selection", function() {
+        var drag;
+
+        beforeEach(function() {
+            drag = dragStore("card");
+        });
+
+        it("toggles elements with Ctrl-click", function() {
+            click("a", {ctrlKey: true});
+            click("c", {ctrlKey: true});
+            click("a", {ctrlKey: true});
+
+            expect(names(drag.selection())).toEqual(["c"]);
+        });
+
+        it("selects a range with Shift-click, from the element clicked before", function() {
+            click("a");
+            click("c", {shiftKey: true});
+
+            expect(names(drag.selection())).toEqual(["a", "b", "c"]);
+        });
+
+        it("copies, and doesn't select, when dragging with Ctrl", function() {
+            dragSimulator.drag(handle("b"), [[50, 30], [50, 50], [150, 30]], {eventInit: {ctrlKey: true}});
+            // the browser follows the pointer release with a click on the element
+            click("b", {ctrlKey: true});
+            $timeout.flush();
+
+            expect(names(scope.done)).toEqual(["d", "b"]);
+            expect(drag.selection()).toEqual([]);
+
+            click("b", {ctrlKey: true});
+
+            expect(names(drag.selection())).toEqual(["b"]);
+        });
+    });
+
+    describe("in a tree", function() {
+        var tree;
+
+        beforeEach(function() {
+            scope.nodes = [{name: "p", children: [{name: "x"}, {name: "y"}]}, {name: "q", children: []}];
+            tree = $compile(
+                "<div drag-container='node' container-data='nodes' drop-indent='20'>" +
+                    "<div ng-repeat='node in nodes' drag-element='node' element-data='node'>" +
+                        "<span drag-handle>{{node.name}}</span>" +
+                        "<div drag-container='node' container-data='node.children' drop-indent='20'>" +
+                            "<div ng-repeat='child in node.children' drag-element='node' element-data='child'>" +
+                                "<span drag-handle>{{child.name}}</span>" +
+                            "</div>" +
+                        "</div>" +
+                    "</div>" +
+                "</div>")(scope);
+            angular.element(document.body).append(tree);
+            scope.$digest();
+
+            // p spans the rows 0-60, with its children x and y indented by 20px below it, and q is at 60-80
+            var p = tree.children()[0];
+            var children = p.querySelector("[drag-container]");
+            dragSimulator.rect(tree, {left: 0, top: 0, width: 200, height: 400});
+            dragSimulator.rect(p, {left: 0, top: 0, width: 200, height: 60});
+            dragSimulator.rect(children, {left: 0, top: 20, width: 200, height: 40});
+            dragSimulator.list(children, {left: 20, top: 20, width: 180, height: 40, itemHeight: 20});
+            dragSimulator.rect(tree.children()[1], {left: 0, top: 60, width: 200, height: 20});
+        });
+
+        afterEach(function() {
+            tree.remove();
+        });
+
+        it("drops at the end of a nested container when the pointer is indented", function() {
+            dragSimulator.drag(handle("x", tree), [[110, 30], [110, 40], [50, 55]]);
+            $timeout.flush();
+
+            expect(names(scope.nodes)).toEqual(["p", "q"]);
+            expect(names(scope.nodes[0].children)).toEqual(["y", "x"]);
+        });
+
+        it("drops after the parent element when the pointer is left of its indent", function() {
+            dragSimulator.drag(handle("x", tree), [[110, 30], [110, 40], [15, 55]]);
+            $timeout.flush();
+
+            expect(names(scope.nodes)).toEqual(["p", "x", "q"]);
+            expect(names(scope.nodes[0].children)).toEqual(["y"]);
+        });
+    });
+
+    describe("right to left", function() {
+        var row;
+
+        beforeEach(function() {
+            scope.items = [{name: "e"}, {name: "f"}, {name: "g"}];
+            row = $compile(
+                "<div drag-container='item' container-data='items' drag-horizontal='true' style='direction: rtl'>" +
+                    "<div ng-repeat='item in items' drag-element='item' element-data='item'>" +
+                        "<span drag-handle>{{item.name}}</span>" +
+                    "</div>" +
+                "</div>")(scope);
+            angular.element(document.body).append(row);
+            scope.$digest();
+            // e is at the right end, g at the left end
+            dragSimulator.list(row, {left: 0, top: 0, width: 300, height: 20, itemWidth: 100, horizontal: true,
+                rtl: true});
+        });
+
+        afterEach(function() {
+            row.remove();
+        });
+
+        it("drops at the start of a horizontal container when the pointer is at its right end", function() {
+            dragSimulator.drag(handle("g", row), [[50, 10], [100, 10], [290, 10]]);
+            $timeout.flush();
+
+            expect(names(scope.items)).toEqual(["g", "e", "f"]);
+        });
+
+        it("moves an element to the next position with the left arrow key", function() {
+            key(handle("e", row), 32);
+            key(document.activeElement, 37);
+            key(document.activeElement, 13);
+            $timeout.flush();
+
+            expect(names(scope.items)).toEqual(["f", "e", "g"]);
+        });
+    });
+
+    describe("without a pointer", function() {
+        it("moves an element with dragStore.move", function() {
+            dragStore.move("card", scope.todo[2], scope.done, 0);
+            $timeout.flush();
+
+            expect(names(scope.todo)).toEqual(["a", "b"]);
+            expect(names(scope.done)).toEqual(["c", "d"]);
+        });
+
+        it("copies an element with dragStore.move", function() {
+            dragStore.move("card", scope.todo[0], scope.done, 1, true);
+            $timeout.flush();
+
+            expect(names(scope.todo)).toEqual(["a", "b", "c"]);
+            expect(names(scope.done)).toEqual(["d", "a"]);
+        });
+
+        it("cancels a drag with dragStore.cancel", function() {
+            dragStore.begin("card", scope.todo[0]);
+            dragStore.over(scope.done, 0);
+            dragStore.cancel();
+            $timeout.flush();
+
+            expect(names(scope.todo)).toEqual(["a", "b", "c"]);
+            expect(names(scope.done)).toEqual(["d"]);
+            expect(_.includes(eventNames(), "elementMoved")).toBe(false);
+        });
+    });
+
+    describe("dragSimulator", function() {
+        it("puts back getBoundingClientRect on reset", function() {
+            var column = elem.children()[0];
+            expect(column.getBoundingClientRect().height).toBe(400);
+
+            dragSimulator.reset();
+
+            expect(column.getBoundingClientRect().height).not.toBe(400);
+        });
+    });
+});
+
+describe("dragdrop with the historyKeys option", function() {
+    var $rootScope, $timeout, dragStore, dragHistory, scope, elem;
+
+    beforeEach(module("dragdrop", function(dragdropConfigProvider) {
+        dragdropConfigProvider.options({historyKeys: true});
+    }));
+
+    beforeEach(inject(function($compile, _$rootScope_, _$timeout_, _dragStore_, _dragHistory_) {
+        $rootScope = _$rootScope_;
+        $timeout = _$timeout_;
+        dragStore = _dragStore_;
+        dragHistory = _dragHistory_;
+
+        scope = $rootScope.$new();
+        scope.todo = [{name: "a"}, {name: "b"}];
+        scope.done = [];
+        elem = $compile(
+            "<div>" +
+                "<div drag-container='card' container-data='todo'>" +
+                    "<div ng-repeat='card in todo' drag-element='card' element-data='card'>{{card.name}}</div>" +
+                "</div>" +
+                "<div drag-container='card' container-data='done'>" +
+                    "<div ng-repeat='card in done' drag-element='card' element-data='card'>{{card.name}}</div>" +
+                "</div>" +
+                "<input type='text'>" +
+            "</div>")(scope);
+        angular.element(document.body).append(elem);
+        scope.$digest();
+
+        dragStore.move("card", scope.todo[0], scope.done);
+        $timeout.flush();
+    }));
+
+    afterEach(function() {
+        scope.$destroy();
+        elem.remove();
+    });
+
+    function key(target, keyCode, shiftKey) {
+        var event = new KeyboardEvent("keydown", {bubbles: true, cancelable: true, ctrlKey: true, shiftKey: shiftKey});
+        Object.defineProperty(event, "keyCode", {value: keyCode});
+        target.dispatchEvent(event);
+        return event;
+    }
+
+    it("undoes with Ctrl+Z and redoes with Ctrl+Shift+Z", function() {
+        expect(key(document.body, 90).defaultPrevented).toBe(true);
+        expect(_.map(scope.todo, "name")).toEqual(["a", "b"]);
+        expect(elem.children()[0].children.length).toBe(2);
+
+        key(document.body, 90, true);
+        expect(_.map(scope.todo, "name")).toEqual(["b"]);
+        expect(_.map(scope.done, "name")).toEqual(["a"]);
+    });
+
+    it("leaves Ctrl+Z in form fields to the field", function() {
+        expect(key(elem.find("input")[0], 90).defaultPrevented).toBe(false);
+        expect(_.map(scope.done, "name")).toEqual(["a"]);
+    });
+});
@@ -0,0 +1,52 @@
+// Runs the specs in this directory with Jasmine, in a jsdom window that has the scripts loaded like a page would:
+//
+//   npm test
+var fs = require("fs");
+var path = require("path");
+var JSDOM = require("jsdom").JSDOM;
+
+var window = new JSDOM("<!doctype html><html><body></body></html>", {
+    runScripts: "outside-only",
+    pretendToBeVisual: true // gives the window requestAnimationFrame
+}).window;
+
+function load(file) {
+    window.eval(fs.readFileSync(file, "utf8"));
+}
+
+load(require.resolve("jasmine-core/lib/jasmine-core/jasmine.js"));
+var jasmine = window.jasmineRequire.core(window.jasmineRequire);
+var env = jasmine.getEnv();
+Object.assign(window, window.jasmineRequire.interface(jasmine, env));
+
+load(require.resolve("lodash/lodash.js"));
+load(require.resolve("angular/angular.js"));
+load(require.resolve("angular-mocks/angular-mocks.js"));
+load(path.join(__dirname, "../dragdrop.js"));
+load(path.join(__dirname, "../dragdrop-testing.js"));
+fs.readdirSync(__dirname).filter(function(file) {
+    return /\.spec\.js$/.test(file);
+}).sort().forEach(function(file) {
+    load(path.join(__dirname, file));
+});
+
+var specs = 0;
+var failed = 0;
+env.addReporter({
+    specDone: function(result) {
+        specs++;
+        if(result.status === "failed") {
+            failed++;
+            console.log("FAILED " + result.fullName);
+            result.failedExpectations.forEach(function(expectation) {
+                console.log("    " + (expectation.stack || expectation.message));
+            });
+        }
+    },
+    jasmineDone: function(result) {
+        console.log(specs + " specs, " + failed + " failed");
+        process.exitCode = result.overallStatus === "passed" ? 0 : 1;
+    }
+});
+env.configure({random: false});
+env.execute();